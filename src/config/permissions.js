@@ -0,0 +1,46 @@
+/**
+ * Permission catalogue
+ * Permissions follow the "resource:action[:scope]" convention. A scope of
+ * "own" only applies to documents the user created, "any" to all documents.
+ */
+const PERMISSIONS = [
+  "product:create",
+  "product:update:own",
+  "product:update:any",
+  "product:delete:own",
+  "product:delete:any",
+  "category:create",
+  "category:update",
+  "category:delete",
+  "order:read",
+  "order:update",
+  "coupon:manage",
+  "review:moderate",
+  "user:read",
+  "user:update",
+  "user:delete",
+  "user:impersonate",
+  "role:manage",
+  "audit:read",
+]
+
+/**
+ * Built-in roles
+ * Created on startup if missing; they can be edited but not deleted.
+ * The admin role is kept in sync with the full catalogue on every startup.
+ */
+const DEFAULT_ROLES = {
+  user: {
+    description: "Regular account",
+    permissions: ["product:create", "product:update:own", "product:delete:own"],
+  },
+  admin: {
+    description: "Full access",
+    permissions: [...PERMISSIONS],
+  },
+}
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+}
@@ -0,0 +1,28 @@
+const auditService = require("../services/auditService")
+const { asyncHandler } = require("../middlewares/errorHandler")
+
+/**
+ * Audit Controller
+ * Handles HTTP requests and responses for the audit log
+ */
+
+/**
+ * @desc    Get audit log entries
+ * @route   GET /api/v1/admin/audit
+ * @access  Private (audit:read)
+ */
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const { actor, entity, entityId, action, from, to, page, limit } = req.query
+
+  const result = await auditService.getAuditLogs({ actor, entity, entityId, action, from, to, page, limit })
+
+  res.status(200).json({
+    success: true,
+    message: "Audit logs retrieved successfully",
+    data: result,
+  })
+})
+
+module.exports = {
+  getAuditLogs,
+}
@@ -0,0 +1,155 @@
+const { asyncHandler } = require("../middlewares/errorHandler");
+const {
+  getCartService,
+  addItemService,
+  updateItemService,
+  removeItemService,
+  clearCartService,
+  refreshCartService,
+  applyCouponService,
+  removeCouponService,
+} = require("../services/cartService");
+
+/**
+ * Whose cart the request is about: the signed-in user's, or the guest cart
+ * named by the X-Cart-Token header
+ */
+const cartOwner = (req) => ({
+  user: req.user ? req.user._id : null,
+  token: req.get("x-cart-token"),
+});
+
+/**
+ * Get the cart, with every line checked against current prices and stock
+ * @route GET /api/v1/cart
+ * @access Public (signed-in user or X-Cart-Token)
+ */
+const getCart = asyncHandler(async (req, res) => {
+  const cart = await getCartService(cartOwner(req));
+
+  res.status(200).json({
+    success: true,
+    data: cart,
+  });
+});
+
+/**
+ * Add a product (or variant) to the cart
+ * Guests without a cart get a new one; its token is returned in the
+ * X-Cart-Token header and as cartToken, and must be sent on later requests.
+ * @route POST /api/v1/cart/items
+ * @access Public (signed-in user or X-Cart-Token)
+ */
+const addItem = asyncHandler(async (req, res) => {
+  const { cart, token } = await addItemService(cartOwner(req), req.body);
+
+  if (token) res.set("X-Cart-Token", token);
+
+  res.status(token ? 201 : 200).json({
+    success: true,
+    message: "Item added to cart",
+    data: token ? { ...cart, cartToken: token } : cart,
+  });
+});
+
+/**
+ * Change the quantity of a cart line
+ * @route PATCH /api/v1/cart/items/:itemId
+ * @access Public (signed-in user or X-Cart-Token)
+ */
+const updateItem = asyncHandler(async (req, res) => {
+  const cart = await updateItemService(cartOwner(req), req.params.itemId, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: "Cart updated",
+    data: cart,
+  });
+});
+
+/**
+ * Remove a cart line
+ * @route DELETE /api/v1/cart/items/:itemId
+ * @access Public (signed-in user or X-Cart-Token)
+ */
+const removeItem = asyncHandler(async (req, res) => {
+  const cart = await removeItemService(cartOwner(req), req.params.itemId);
+
+  res.status(200).json({
+    success: true,
+    message: "Item removed from cart",
+    data: cart,
+  });
+});
+
+/**
+ * Empty the cart
+ * @route DELETE /api/v1/cart
+ * @access Public (signed-in user or X-Cart-Token)
+ */
+const clearCart = asyncHandler(async (req, res) => {
+  const cart = await clearCartService(cartOwner(req));
+
+  res.status(200).json({
+    success: true,
+    message: "Cart cleared",
+    data: cart,
+  });
+});
+
+/**
+ * Accept current prices and stock: refresh snapshots, cap quantities and
+ * drop lines (and a coupon) that can no longer be used
+ * @route POST /api/v1/cart/refresh
+ * @access Public (signed-in user or X-Cart-Token)
+ */
+const refreshCart = asyncHandler(async (req, res) => {
+  const cart = await refreshCartService(cartOwner(req));
+
+  res.status(200).json({
+    success: true,
+    message: cart.changes.length > 0 ? "Cart updated to current prices and stock" : "Cart is up to date",
+    data: cart,
+  });
+});
+
+/**
+ * Apply a coupon code; rejected codes answer 400 with the reason
+ * @route POST /api/v1/cart/coupon
+ * @access Public (signed-in user or X-Cart-Token)
+ */
+const applyCoupon = asyncHandler(async (req, res) => {
+  const cart = await applyCouponService(cartOwner(req), req.body.code);
+
+  res.status(200).json({
+    success: true,
+    message: "Coupon applied",
+    data: cart,
+  });
+});
+
+/**
+ * Remove the coupon from the cart
+ * @route DELETE /api/v1/cart/coupon
+ * @access Public (signed-in user or X-Cart-Token)
+ */
+const removeCoupon = asyncHandler(async (req, res) => {
+  const cart = await removeCouponService(cartOwner(req));
+
+  res.status(200).json({
+    success: true,
+    message: "Coupon removed",
+    data: cart,
+  });
+});
+
+module.exports = {
+  getCart,
+  addItem,
+  updateItem,
+  removeItem,
+  clearCart,
+  refreshCart,
+  applyCoupon,
+  removeCoupon,
+};
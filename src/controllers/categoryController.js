@@ -1,19 +1,88 @@
 // controllers/categoryController.js
-const Category = require("../models/Category");
 const { asyncHandler } = require("../middlewares/errorHandler");
+const {
+  getAllCategoriesService,
+  getCategoryTreeService,
+  getCategoryService,
+  createCategoryService,
+  updateCategoryService,
+  moveCategoryService,
+  deleteCategoryService,
+} = require("../services/categoryService");
 
+/**
+ * Create a category (top level, or below parent)
+ * @route POST /api/v1/categories
+ * @access Private (category:create)
+ */
 exports.createCategory = asyncHandler(async (req, res) => {
-  const { name, subcategories } = req.body;
+  const { name, slug, parent, order } = req.body;
 
-  if (!name || !Array.isArray(subcategories) || subcategories.length === 0) {
-    return res.status(400).json({ message: "Name and subcategories are required" });
-  }
-
-  const category = await Category.create({ name, subcategories });
+  const category = await createCategoryService({ name, slug, parent, order });
   res.status(201).json({ success: true, data: category });
 });
 
+/**
+ * Get all categories as a flat list
+ * e.g. GET /api/v1/categories?parent=<id>&sort=-name&fields=name,slug&expand=parent
+ * @route GET /api/v1/categories
+ * @access Public
+ */
 exports.getAllCategories = asyncHandler(async (req, res) => {
-  const categories = await Category.find();
+  const categories = await getAllCategoriesService(req.query);
   res.status(200).json({ success: true, data: categories });
-});
\ No newline at end of file
+});
+
+/**
+ * Get the nested category tree with product counts per node
+ * @route GET /api/v1/categories/tree
+ * @access Public
+ */
+exports.getCategoryTree = asyncHandler(async (req, res) => {
+  const tree = await getCategoryTreeService();
+  res.status(200).json({ success: true, data: tree });
+});
+
+/**
+ * Get a single category by id or slug
+ * @route GET /api/v1/categories/:idOrSlug
+ * @access Public
+ */
+exports.getCategory = asyncHandler(async (req, res) => {
+  const category = await getCategoryService(req.params.idOrSlug);
+  res.status(200).json({ success: true, data: category });
+});
+
+/**
+ * Rename a category, change its slug or order
+ * @route PATCH /api/v1/categories/:id
+ * @access Private (category:update)
+ */
+exports.updateCategory = asyncHandler(async (req, res) => {
+  const { name, slug, order } = req.body;
+
+  const category = await updateCategoryService(req.params.id, { name, slug, order });
+  res.status(200).json({ success: true, message: "Category updated", data: category });
+});
+
+/**
+ * Move a category and its subtree below another parent (null for top level)
+ * @route PATCH /api/v1/categories/:id/move
+ * @access Private (category:update)
+ */
+exports.moveCategory = asyncHandler(async (req, res) => {
+  const { parent, order } = req.body;
+
+  const category = await moveCategoryService(req.params.id, { parent, order });
+  res.status(200).json({ success: true, message: "Category moved", data: category });
+});
+
+/**
+ * Delete a category without subcategories
+ * @route DELETE /api/v1/categories/:id
+ * @access Private (category:delete)
+ */
+exports.deleteCategory = asyncHandler(async (req, res) => {
+  await deleteCategoryService(req.params.id);
+  res.status(200).json({ success: true, message: "Category deleted successfully" });
+});
@@ -0,0 +1,60 @@
+// controllers/couponController.js
+const { asyncHandler } = require("../middlewares/errorHandler");
+const {
+  getCouponsService,
+  getCouponService,
+  createCouponService,
+  updateCouponService,
+  deleteCouponService,
+} = require("../services/couponService");
+
+/**
+ * List coupons
+ * e.g. GET /api/v1/coupons?isActive=true&endsAt[gte]=2024-01-01&sort=-usedCount
+ * @route GET /api/v1/coupons
+ * @access Private (coupon:manage)
+ */
+exports.getCoupons = asyncHandler(async (req, res) => {
+  const result = await getCouponsService(req.query);
+  res.status(200).json({ success: true, data: result });
+});
+
+/**
+ * Get a coupon
+ * @route GET /api/v1/coupons/:id
+ * @access Private (coupon:manage)
+ */
+exports.getCoupon = asyncHandler(async (req, res) => {
+  const coupon = await getCouponService(req.params.id);
+  res.status(200).json({ success: true, data: coupon });
+});
+
+/**
+ * Create a coupon
+ * @route POST /api/v1/coupons
+ * @access Private (coupon:manage)
+ */
+exports.createCoupon = asyncHandler(async (req, res) => {
+  const coupon = await createCouponService(req.body, req.user._id);
+  res.status(201).json({ success: true, message: "Coupon created", data: coupon });
+});
+
+/**
+ * Update a coupon
+ * @route PATCH /api/v1/coupons/:id
+ * @access Private (coupon:manage)
+ */
+exports.updateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await updateCouponService(req.params.id, req.body);
+  res.status(200).json({ success: true, message: "Coupon updated", data: coupon });
+});
+
+/**
+ * Delete a coupon that was never used
+ * @route DELETE /api/v1/coupons/:id
+ * @access Private (coupon:manage)
+ */
+exports.deleteCoupon = asyncHandler(async (req, res) => {
+  await deleteCouponService(req.params.id);
+  res.status(200).json({ success: true, message: "Coupon deleted" });
+});
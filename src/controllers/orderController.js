@@ -0,0 +1,128 @@
+const { asyncHandler } = require("../middlewares/errorHandler");
+const {
+  checkoutService,
+  getOrdersService,
+  getOrderService,
+  changeOrderStatusService,
+  cancelMyOrderService,
+} = require("../services/orderService");
+const paymentService = require("../services/paymentService");
+const roleService = require("../services/roleService");
+const AppError = require("../utils/appError");
+
+/**
+ * Place an order for the contents of the cart
+ * @route POST /api/v1/orders
+ * @access Private
+ */
+const checkout = asyncHandler(async (req, res) => {
+  const order = await checkoutService(req.user._id, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: "Order placed successfully",
+    data: order,
+  });
+});
+
+/**
+ * List the signed-in user's orders
+ * @route GET /api/v1/orders
+ * @access Private
+ */
+const getMyOrders = asyncHandler(async (req, res) => {
+  const result = await getOrdersService(req.query, { user: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Get an order
+ * @route GET /api/v1/orders/:id
+ * @access Private (own orders, or any with order:read)
+ */
+const getOrder = asyncHandler(async (req, res) => {
+  const order = await getOrderService(req.params.id, req.query);
+
+  const isBuyer = Boolean(order) && order.user && order.user._id.equals(req.user._id);
+  const canReadAny =
+    Boolean(order) &&
+    !isBuyer &&
+    (await roleService.hasPermission(req.user, "order:read", undefined, req.apiKey && req.apiKey.scopes));
+
+  // Other people's orders are reported as missing rather than forbidden
+  if (!isBuyer && !canReadAny) throw new AppError("Order not found", 404);
+
+  res.status(200).json({
+    success: true,
+    data: order,
+  });
+});
+
+/**
+ * Cancel one of the user's own unpaid orders
+ * @route POST /api/v1/orders/:id/cancel
+ * @access Private
+ */
+const cancelOrder = asyncHandler(async (req, res) => {
+  const order = await cancelMyOrderService(req.user._id, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: "Order cancelled",
+    data: order,
+  });
+});
+
+/**
+ * List all orders
+ * @route GET /api/v1/admin/orders
+ * @access Private (order:read)
+ */
+const getAllOrders = asyncHandler(async (req, res) => {
+  const result = await getOrdersService(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Move an order along its status machine
+ * Refunds also give the payment back through the payment provider.
+ * @route PATCH /api/v1/admin/orders/:id/status
+ * @access Private (order:update)
+ */
+const updateOrderStatus = asyncHandler(async (req, res) => {
+  // Loaded by the authorize("order:update") middleware
+  const { status, note, restock } = req.body;
+  const options = {
+    actor: req.user._id,
+    note,
+    restock: restock === true || restock === "true",
+  };
+
+  const order =
+    status === "refunded"
+      ? await paymentService.refundOrder(req.resource, options)
+      : await changeOrderStatusService(req.resource, status, options);
+
+  res.status(200).json({
+    success: true,
+    message: `Order ${status}`,
+    data: order,
+  });
+});
+
+module.exports = {
+  checkout,
+  getMyOrders,
+  getOrder,
+  cancelOrder,
+  getAllOrders,
+  updateOrderStatus,
+};
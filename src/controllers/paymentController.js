@@ -0,0 +1,38 @@
+const { asyncHandler } = require("../middlewares/errorHandler");
+const paymentService = require("../services/paymentService");
+
+/**
+ * Pay a pending order
+ * @route POST /api/v1/orders/:id/pay
+ * @access Private (own orders)
+ */
+const payOrder = asyncHandler(async (req, res) => {
+  const { payment, order } = await paymentService.payOrder(req.user._id, req.params.id, req.body);
+
+  const processing = payment.status === "processing";
+
+  res.status(processing ? 202 : 200).json({
+    success: true,
+    message: processing ? "Payment is being processed" : "Payment successful",
+    data: { payment, order },
+  });
+});
+
+/**
+ * Receive a signed event from the payment provider
+ * @route POST /api/v1/payments/webhook
+ * @access Public (signature checked by the provider)
+ */
+const handleWebhook = asyncHandler(async (req, res) => {
+  const { duplicate } = await paymentService.handleWebhook(req.rawBody, req.headers);
+
+  res.status(200).json({
+    success: true,
+    message: duplicate ? "Event already processed" : "Event processed",
+  });
+});
+
+module.exports = {
+  payOrder,
+  handleWebhook,
+};
@@ -1,10 +1,24 @@
+const mongoose = require("mongoose");
 const { asyncHandler } = require("../middlewares/errorHandler");
 const Product = require("../models/Product");
 const {
   getAllProductsService,
+  getProductDetailsService,
+  getDeletedProductsService,
+  restoreProductService,
+  addProductImagesService,
+  reorderProductImagesService,
+  deleteProductImageService,
 } = require("../services/productService");
-
-const Category = require("../models/Category");
+const {
+  reserveStock,
+  releaseStock,
+  adjustStock,
+  runStockTransaction,
+  getStockService,
+  getLowStockProductsService,
+} = require("../services/inventoryService");
+const roleService = require("../services/roleService");
 
 const createProduct = asyncHandler(async (req, res) => {
   const {
@@ -13,43 +27,64 @@ const createProduct = asyncHandler(async (req, res) => {
     description,
     imageUrl,
     category,
-    subcategory,
+    quantity,
+    lowStockThreshold,
   } = req.body;
 
   // Validate required fields
+  // Images are uploaded afterwards (POST /api/v1/products/:id/images) unless
+  // an imageUrl hosted elsewhere is given
   if (
     !name ||
     !price ||
-    !imageUrl ||
     !description ||
-    !category ||
-    !subcategory
+    !category
   ) {
     return res.status(400).json({
       success: false,
-      message: "All fields are required: name, price, imageUrl, description, category, subcategory",
+      message: "All fields are required: name, price, description, category",
     });
   }
 
-  // ✅ Validate category and subcategory from DB
-  const foundCategory = await Category.findOne({ name: category });
-  if (!foundCategory) {
-    return res.status(400).json({ message: "Category not found" });
+  // Categories are referenced by id; the Product model checks that it exists
+  if (!mongoose.isValidObjectId(category)) {
+    return res.status(400).json({ success: false, message: "Invalid category id" });
   }
-  if (!foundCategory.subcategories.includes(subcategory)) {
-    return res.status(400).json({ message: "Invalid subcategory for this category" });
+
+  if (
+    (quantity !== undefined && !(Number.isInteger(quantity) && quantity >= 0)) ||
+    (lowStockThreshold !== undefined && !(Number.isInteger(lowStockThreshold) && lowStockThreshold >= 0))
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: "quantity and lowStockThreshold must be whole numbers of 0 or more",
+    });
   }
 
-  // ✅ Create product if validation passes
-  const product = await Product.create({
+  const fields = {
     name,
     price,
     imageUrl,
     description,
     category,
-    subcategory,
+    lowStockThreshold,
     user: req.user._id,
-  });
+  };
+
+  // Opening stock goes through the ledger like any other stock change, in the
+  // same transaction so a product never exists without its first movement
+  const product =
+    quantity > 0
+      ? await runStockTransaction(async (session) => {
+          const [created] = await Product.create([fields], { session });
+          const { product: stocked } = await adjustStock(created._id, quantity, {
+            actor: req.user._id,
+            reason: "Initial stock",
+            session,
+          });
+          return stocked;
+        })
+      : await Product.create(fields);
 
   res.status(201).json({
     success: true,
@@ -59,31 +94,34 @@ const createProduct = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get all products
+ * Get all products (paginated, sortable, searchable)
+ * e.g. ?price[gte]=10&price[lt]=50&sort=-createdAt&fields=name,price&expand=user
  * @route GET /api/v1/products
- * @access Public
+ * @access Public (owner emails in expand=user need user:read)
  */
 const getAllProducts = asyncHandler(async (req, res) => {
-  const { category, subcategory } = req.query;
-  const filter = {};
-  if (category) filter.category = category;
-  if (subcategory) filter.subcategory = subcategory;
-
-  const products = await getAllProductsService(filter);
+  // Filters, sort and fields are checked against the product whitelist by the service
+  const result = await getAllProductsService(req.query, {
+    user: req.user,
+    scopes: req.apiKey && req.apiKey.scopes,
+  });
 
   res.status(200).json({
     success: true,
-    data: products,
+    data: result,
   });
 });
 
 /**
- * Get single product by ID
+ * Get single product by ID (supports fields= and expand=)
  * @route GET /api/v1/products/:id
- * @access Public
+ * @access Public (owner emails in expand=user need user:read)
  */
 const getProductById = asyncHandler(async (req, res) => {
-  const product = await Product.findById(req.params.id);
+  const product = await getProductDetailsService(req.params.id, req.query, {
+    user: req.user,
+    scopes: req.apiKey && req.apiKey.scopes,
+  });
 
   if (!product) {
     return res
@@ -95,24 +133,16 @@ const getProductById = asyncHandler(async (req, res) => {
 });
 
 /**
- * Update product (only by owner or admin)
+ * Update product (owner with product:update:own, or product:update:any)
  * @route PUT /api/v1/products/:id
  * @access Private
  */
 const updateProduct = asyncHandler(async (req, res) => {
-  const product = await Product.findById(req.params.id);
-
-  if (!product) {
-    return res
-      .status(404)
-      .json({ success: false, message: "Product not found" });
-  }
+  // Loaded and authorized by the authorize("product:update") middleware
+  const product = req.resource;
 
-  if (
-    product.user.toString() !== req.user._id.toString() &&
-    req.user.role !== "admin"
-  ) {
-    return res.status(403).json({ success: false, message: "Not authorized" });
+  if (req.body.category && !mongoose.isValidObjectId(req.body.category)) {
+    return res.status(400).json({ success: false, message: "Invalid category id" });
   }
 
   const fieldsToUpdate = [
@@ -121,13 +151,17 @@ const updateProduct = asyncHandler(async (req, res) => {
     "description",
     "imageUrl",
     "category",
-    "subcategory",
-    "quantity",
+    "options",
   ];
   fieldsToUpdate.forEach((field) => {
     if (req.body[field]) product[field] = req.body[field];
   });
 
+  // Stock levels change through the stock endpoints; only the alert level is editable here
+  if (req.body.lowStockThreshold !== undefined) {
+    product.lowStockThreshold = req.body.lowStockThreshold;
+  }
+
   await product.save();
 
   res.status(200).json({
@@ -138,31 +172,217 @@ const updateProduct = asyncHandler(async (req, res) => {
 });
 
 /**
- * Delete product (only by owner or admin)
+ * Delete product (moved to trash; owner with product:delete:own, or product:delete:any)
  * @route DELETE /api/v1/products/:id
  * @access Private
  */
 const deleteProduct = asyncHandler(async (req, res) => {
-  const product = await Product.findById(req.params.id);
+  // Loaded and authorized by the authorize("product:delete") middleware
+  const product = req.resource;
+
+  await product.softDelete(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: "Product deleted successfully",
+  });
+});
+
+/**
+ * Get deleted products (trash)
+ * @route GET /api/v1/products/trash
+ * @access Private (product:delete:any)
+ */
+const getDeletedProducts = asyncHandler(async (req, res) => {
+  const result = await getDeletedProductsService({
+    page: req.query.page,
+    limit: req.query.limit,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Restore a deleted product
+ * @route PATCH /api/v1/products/:id/restore
+ * @access Private (product:delete:any)
+ */
+const restoreProduct = asyncHandler(async (req, res) => {
+  const product = await restoreProductService(req.params.id);
 
   if (!product) {
     return res
       .status(404)
-      .json({ success: false, message: "Product not found" });
+      .json({ success: false, message: "Deleted product not found" });
   }
 
-  if (
-    product.user.toString() !== req.user._id.toString() &&
-    req.user.role !== "admin"
-  ) {
-    return res.status(403).json({ success: false, message: "Not authorized" });
-  }
+  res.status(200).json({
+    success: true,
+    message: "Product restored successfully",
+    data: product,
+  });
+});
+
+/**
+ * Upload product images (multipart/form-data, field "images")
+ * @route POST /api/v1/products/:id/images
+ * @access Private (product:update, own or any)
+ */
+const addProductImages = asyncHandler(async (req, res) => {
+  // Files were type and size checked by the uploadImages middleware
+  const images = await addProductImagesService(req.resource, req.files);
+
+  res.status(201).json({
+    success: true,
+    message: "Images uploaded successfully",
+    data: images,
+  });
+});
+
+/**
+ * Reorder product images; the first one becomes the main image
+ * @route PUT /api/v1/products/:id/images/order
+ * @access Private (product:update, own or any)
+ */
+const reorderProductImages = asyncHandler(async (req, res) => {
+  const images = await reorderProductImagesService(req.resource, req.body.order);
 
-  await product.deleteOne();
+  res.status(200).json({
+    success: true,
+    message: "Images reordered",
+    data: images,
+  });
+});
+
+/**
+ * Delete a product image and its file
+ * @route DELETE /api/v1/products/:id/images/:imageId
+ * @access Private (product:update, own or any)
+ */
+const deleteProductImage = asyncHandler(async (req, res) => {
+  const images = await deleteProductImageService(req.resource, req.params.imageId);
 
   res.status(200).json({
     success: true,
-    message: "Product deleted successfully",
+    message: "Image deleted successfully",
+    data: images,
+  });
+});
+
+/**
+ * Get stock levels and movement history of a product
+ * @route GET /api/v1/products/:id/stock
+ * @route GET /api/v1/products/:id/variants/:variantId/stock
+ * @access Private (product:update, own or any)
+ */
+const getStock = asyncHandler(async (req, res) => {
+  const result = await getStockService(req.params.id, {
+    variant: req.params.variantId,
+    page: req.query.page,
+    limit: req.query.limit,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Adjust units on hand (positive to restock, negative to write off)
+ * @route POST /api/v1/products/:id/stock/adjust
+ * @route POST /api/v1/products/:id/variants/:variantId/stock/adjust
+ * @access Private (product:update, own or any)
+ */
+const adjustProductStock = asyncHandler(async (req, res) => {
+  const { quantity, reason, reference } = req.body;
+
+  const result = await adjustStock(req.params.id, quantity, {
+    variant: req.params.variantId,
+    actor: req.user._id,
+    reason,
+    reference,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Stock adjusted",
+    data: result,
+  });
+});
+
+/**
+ * Reserve units for a pending sale
+ * @route POST /api/v1/products/:id/stock/reserve
+ * @route POST /api/v1/products/:id/variants/:variantId/stock/reserve
+ * @access Private (product:update, own or any)
+ */
+const reserveProductStock = asyncHandler(async (req, res) => {
+  const { quantity, reason, reference } = req.body;
+
+  const result = await reserveStock(req.params.id, quantity, {
+    variant: req.params.variantId,
+    actor: req.user._id,
+    reason,
+    reference,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Stock reserved",
+    data: result,
+  });
+});
+
+/**
+ * Release previously reserved units
+ * @route POST /api/v1/products/:id/stock/release
+ * @route POST /api/v1/products/:id/variants/:variantId/stock/release
+ * @access Private (product:update, own or any)
+ */
+const releaseProductStock = asyncHandler(async (req, res) => {
+  const { quantity, reason, reference } = req.body;
+
+  const result = await releaseStock(req.params.id, quantity, {
+    variant: req.params.variantId,
+    actor: req.user._id,
+    reason,
+    reference,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Stock released",
+    data: result,
+  });
+});
+
+/**
+ * Get products at or below their low-stock threshold
+ * Sellers see their own products, product:update:any sees all of them
+ * @route GET /api/v1/products/low-stock
+ * @access Private
+ */
+const getLowStockProducts = asyncHandler(async (req, res) => {
+  const canSeeAll = await roleService.hasPermission(
+    req.user,
+    "product:update",
+    undefined,
+    req.apiKey && req.apiKey.scopes
+  );
+
+  const result = await getLowStockProductsService({
+    user: canSeeAll ? undefined : req.user._id,
+    page: req.query.page,
+    limit: req.query.limit,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result,
   });
 });
 
@@ -172,4 +392,14 @@ module.exports = {
   getProductById,
   updateProduct,
   deleteProduct,
+  getDeletedProducts,
+  restoreProduct,
+  addProductImages,
+  reorderProductImages,
+  deleteProductImage,
+  getStock,
+  adjustProductStock,
+  reserveProductStock,
+  releaseProductStock,
+  getLowStockProducts,
 };
@@ -0,0 +1,139 @@
+const { asyncHandler } = require("../middlewares/errorHandler");
+const {
+  getProductReviewsService,
+  getReviewsService,
+  getReviewService,
+  createReviewService,
+  updateReviewService,
+  deleteReviewService,
+  moderateReviewService,
+} = require("../services/reviewService");
+const roleService = require("../services/roleService");
+
+/**
+ * Whether the reader may see reviews that are pending or hidden
+ */
+const isModerator = async (req) =>
+  Boolean(req.user) &&
+  (await roleService.hasPermission(req.user, "review:moderate", undefined, req.apiKey && req.apiKey.scopes));
+
+/**
+ * List the approved reviews of a product, with its rating totals
+ * e.g. GET /api/v1/products/:id/reviews?rating[gte]=4&sort=-rating
+ * @route GET /api/v1/products/:id/reviews
+ * @access Public (pending and hidden reviews only for review:moderate)
+ */
+const getProductReviews = asyncHandler(async (req, res) => {
+  const result = await getProductReviewsService(req.params.id, req.query, {
+    moderator: await isModerator(req),
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Get a review
+ * @route GET /api/v1/products/:id/reviews/:reviewId
+ * @access Public (unapproved reviews only for their author and review:moderate)
+ */
+const getReview = asyncHandler(async (req, res) => {
+  const review = await getReviewService(req.params.id, req.params.reviewId, {
+    userId: req.user && req.user._id,
+    moderator: await isModerator(req),
+  });
+
+  res.status(200).json({
+    success: true,
+    data: review,
+  });
+});
+
+/**
+ * Review a product (one review per user and product)
+ * @route POST /api/v1/products/:id/reviews
+ * @access Private (verified accounts)
+ */
+const createReview = asyncHandler(async (req, res) => {
+  const review = await createReviewService(req.params.id, req.user._id, req.body);
+
+  res.status(201).json({
+    success: true,
+    message:
+      review.status === "approved"
+        ? "Review published"
+        : "Review submitted. It will be published once a moderator approves it.",
+    data: review,
+  });
+});
+
+/**
+ * Edit your own review
+ * @route PATCH /api/v1/products/:id/reviews/:reviewId
+ * @access Private (author only)
+ */
+const updateReview = asyncHandler(async (req, res) => {
+  const review = await updateReviewService(req.params.id, req.params.reviewId, req.user._id, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: "Review updated",
+    data: review,
+  });
+});
+
+/**
+ * Delete your own review
+ * @route DELETE /api/v1/products/:id/reviews/:reviewId
+ * @access Private (author only)
+ */
+const deleteReview = asyncHandler(async (req, res) => {
+  await deleteReviewService(req.params.id, req.params.reviewId, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: "Review deleted",
+  });
+});
+
+/**
+ * Approve or hide a review
+ * @route PATCH /api/v1/products/:id/reviews/:reviewId/status
+ * @access Private (review:moderate)
+ */
+const moderateReview = asyncHandler(async (req, res) => {
+  const review = await moderateReviewService(req.params.id, req.params.reviewId, req.body, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: review.status === "approved" ? "Review approved" : "Review hidden",
+    data: review,
+  });
+});
+
+/**
+ * List reviews across all products, e.g. the moderation queue
+ * e.g. GET /api/v1/admin/reviews?status=pending&sort=createdAt
+ * @route GET /api/v1/admin/reviews
+ * @access Private (review:moderate)
+ */
+const getAllReviews = asyncHandler(async (req, res) => {
+  const result = await getReviewsService(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+module.exports = {
+  getProductReviews,
+  getReview,
+  createReview,
+  updateReview,
+  deleteReview,
+  moderateReview,
+  getAllReviews,
+};
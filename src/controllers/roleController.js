@@ -0,0 +1,89 @@
+const roleService = require("../services/roleService")
+const { asyncHandler } = require("../middlewares/errorHandler")
+
+/**
+ * Role Controller
+ * Handles HTTP requests and responses for role management
+ */
+
+/**
+ * @desc    Get all roles and available permissions
+ * @route   GET /api/v1/roles
+ * @access  Private (role:manage)
+ */
+const getAllRoles = asyncHandler(async (req, res) => {
+  const result = await roleService.getAllRoles()
+
+  res.status(200).json({
+    success: true,
+    message: "Roles retrieved successfully",
+    data: result,
+  })
+})
+
+/**
+ * @desc    Get a single role
+ * @route   GET /api/v1/roles/:name
+ * @access  Private (role:manage)
+ */
+const getRole = asyncHandler(async (req, res) => {
+  const role = await roleService.getRole(req.params.name)
+
+  res.status(200).json({
+    success: true,
+    message: "Role retrieved successfully",
+    data: { role },
+  })
+})
+
+/**
+ * @desc    Create a role
+ * @route   POST /api/v1/roles
+ * @access  Private (role:manage)
+ */
+const createRole = asyncHandler(async (req, res) => {
+  const role = await roleService.createRole(req.body)
+
+  res.status(201).json({
+    success: true,
+    message: "Role created successfully",
+    data: { role },
+  })
+})
+
+/**
+ * @desc    Update a role
+ * @route   PUT /api/v1/roles/:name
+ * @access  Private (role:manage)
+ */
+const updateRole = asyncHandler(async (req, res) => {
+  const role = await roleService.updateRole(req.params.name, req.body)
+
+  res.status(200).json({
+    success: true,
+    message: "Role updated successfully",
+    data: { role },
+  })
+})
+
+/**
+ * @desc    Delete a role
+ * @route   DELETE /api/v1/roles/:name
+ * @access  Private (role:manage)
+ */
+const deleteRole = asyncHandler(async (req, res) => {
+  await roleService.deleteRole(req.params.name)
+
+  res.status(200).json({
+    success: true,
+    message: "Role deleted successfully",
+  })
+})
+
+module.exports = {
+  getAllRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole,
+}
@@ -1,4 +1,7 @@
 const userService = require("../services/userService")
+const mfaService = require("../services/mfaService")
+const apiKeyService = require("../services/apiKeyService")
+const sessionService = require("../services/sessionService")
 const { asyncHandler } = require("../middlewares/errorHandler")
 
 /**
@@ -6,13 +9,24 @@ const { asyncHandler } = require("../middlewares/errorHandler")
  * Handles HTTP requests and responses for user operations
  */
 
+/**
+ * Extract client details recorded in the login history and sessions
+ * @param {Object} req - Express request
+ * @returns {Object} - ip, userAgent and guest cart token
+ */
+const getRequestContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get("user-agent"),
+  cartToken: req.get("x-cart-token"),
+})
+
 /**
  * @desc    Register a new user
  * @route   POST /api/v1/users/register
  * @access  Public
  */
 const registerUser = asyncHandler(async (req, res) => {
-  const result = await userService.registerUser(req.body)
+  const result = await userService.registerUser(req.body, getRequestContext(req))
 
   res.status(201).json({
     success: true,
@@ -27,7 +41,22 @@ const registerUser = asyncHandler(async (req, res) => {
  * @access  Public
  */
 const loginUser = asyncHandler(async (req, res) => {
-  const result = await userService.loginUser(req.body)
+  const result = await userService.loginUser(req.body, getRequestContext(req))
+
+  res.status(200).json({
+    success: true,
+    message: result.mfaRequired ? "Two-factor authentication required" : "Login successful",
+    data: result,
+  })
+})
+
+/**
+ * @desc    Complete login with a two-factor authentication code
+ * @route   POST /api/v1/users/login/mfa
+ * @access  Public (requires MFA pending token)
+ */
+const verifyLoginMfa = asyncHandler(async (req, res) => {
+  const result = await userService.verifyLoginMfa(req.body.mfaToken, req.body.code, getRequestContext(req))
 
   res.status(200).json({
     success: true,
@@ -36,6 +65,65 @@ const loginUser = asyncHandler(async (req, res) => {
   })
 })
 
+/**
+ * @desc    Start mandatory two-factor enrollment during login
+ * @route   POST /api/v1/users/login/mfa/setup
+ * @access  Public (requires MFA pending token)
+ */
+const startLoginMfaSetup = asyncHandler(async (req, res) => {
+  const result = await userService.startLoginMfaSetup(req.body.mfaToken)
+
+  res.status(200).json({
+    success: true,
+    message: "Scan the QR code with your authenticator app, then verify a code to finish logging in",
+    data: result,
+  })
+})
+
+/**
+ * @desc    Rotate refresh token and issue a new access token
+ * @route   POST /api/v1/users/refresh
+ * @access  Public
+ */
+const refreshToken = asyncHandler(async (req, res) => {
+  const result = await userService.refreshTokens(req.body.refreshToken, getRequestContext(req))
+
+  res.status(200).json({
+    success: true,
+    message: "Token refreshed successfully",
+    data: result,
+  })
+})
+
+/**
+ * @desc    Verify email address
+ * @route   GET /api/v1/users/verify-email/:token
+ * @access  Public
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  const user = await userService.verifyEmail(req.params.token)
+
+  res.status(200).json({
+    success: true,
+    message: "Email verified successfully",
+    data: { user },
+  })
+})
+
+/**
+ * @desc    Resend email verification link
+ * @route   POST /api/v1/users/verify-email/resend
+ * @access  Private
+ */
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  await userService.resendVerificationEmail(req.user._id)
+
+  res.status(200).json({
+    success: true,
+    message: "Verification email sent",
+  })
+})
+
 /**
  * @desc    Get current user profile
  * @route   GET /api/v1/users/profile
@@ -67,19 +155,207 @@ const updateUserProfile = asyncHandler(async (req, res) => {
 })
 
 /**
- * @desc    Get all users
- * @route   GET /api/v1/users
- * @access  Private/Admin
+ * @desc    Get login history of current user
+ * @route   GET /api/v1/users/profile/login-history
+ * @access  Private
  */
-const getAllUsers = asyncHandler(async (req, res) => {
-  const options = {
+const getLoginHistory = asyncHandler(async (req, res) => {
+  const result = await userService.getLoginHistory(req.user._id, {
     page: req.query.page,
     limit: req.query.limit,
-    sort: req.query.sort,
-    search: req.query.search,
-  }
+  })
+
+  res.status(200).json({
+    success: true,
+    message: "Login history retrieved successfully",
+    data: result,
+  })
+})
+
+/**
+ * @desc    Change password
+ * @route   PUT /api/v1/users/password
+ * @access  Private
+ */
+const changePassword = asyncHandler(async (req, res) => {
+  const tokens = await userService.changePassword(req.user._id, req.body, getRequestContext(req))
+
+  res.status(200).json({
+    success: true,
+    message: "Password changed successfully",
+    data: tokens,
+  })
+})
+
+/**
+ * @desc    Send password reset email
+ * @route   POST /api/v1/users/forgot-password
+ * @access  Public
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  await userService.forgotPassword(req.body.email)
+
+  res.status(200).json({
+    success: true,
+    message: "If an account exists for this email, a password reset link has been sent.",
+  })
+})
+
+/**
+ * @desc    Reset password with reset token
+ * @route   POST /api/v1/users/reset-password/:token
+ * @access  Public
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  await userService.resetPassword(req.params.token, req.body.password)
+
+  res.status(200).json({
+    success: true,
+    message: "Password reset successfully. Please log in with your new password.",
+  })
+})
+
+/**
+ * @desc    Start two-factor authentication enrollment
+ * @route   POST /api/v1/users/mfa/setup
+ * @access  Private
+ */
+const setupMfa = asyncHandler(async (req, res) => {
+  const result = await mfaService.startSetup(req.user._id)
+
+  res.status(200).json({
+    success: true,
+    message: "Scan the QR code with your authenticator app, then verify a code to enable two-factor authentication",
+    data: result,
+  })
+})
+
+/**
+ * @desc    Enable two-factor authentication
+ * @route   POST /api/v1/users/mfa/enable
+ * @access  Private
+ */
+const enableMfa = asyncHandler(async (req, res) => {
+  const backupCodes = await mfaService.enable(req.user._id, req.body.code)
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication enabled. Store your backup codes in a safe place.",
+    data: { backupCodes },
+  })
+})
+
+/**
+ * @desc    Disable two-factor authentication
+ * @route   POST /api/v1/users/mfa/disable
+ * @access  Private
+ */
+const disableMfa = asyncHandler(async (req, res) => {
+  await mfaService.disable(req.user._id, req.body.password, req.body.code)
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication disabled",
+  })
+})
+
+/**
+ * @desc    Regenerate two-factor backup codes
+ * @route   POST /api/v1/users/mfa/backup-codes
+ * @access  Private
+ */
+const regenerateBackupCodes = asyncHandler(async (req, res) => {
+  const backupCodes = await mfaService.regenerateBackupCodes(req.user._id, req.body.code)
+
+  res.status(200).json({
+    success: true,
+    message: "Backup codes regenerated. Previous codes no longer work.",
+    data: { backupCodes },
+  })
+})
+
+/**
+ * @desc    List active sessions (devices) of current user
+ * @route   GET /api/v1/users/sessions
+ * @access  Private
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionService.getSessions(req.user._id, req.auth.sid)
+
+  res.status(200).json({
+    success: true,
+    message: "Sessions retrieved successfully",
+    data: { sessions },
+  })
+})
 
-  const result = await userService.getAllUsers(options)
+/**
+ * @desc    Revoke a session (log out a device)
+ * @route   DELETE /api/v1/users/sessions/:id
+ * @access  Private
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+  await sessionService.revokeSession(req.user._id, req.params.id)
+
+  res.status(200).json({
+    success: true,
+    message: "Session revoked successfully",
+  })
+})
+
+/**
+ * @desc    Create API key
+ * @route   POST /api/v1/users/api-keys
+ * @access  Private
+ */
+const createApiKey = asyncHandler(async (req, res) => {
+  const result = await apiKeyService.createApiKey(req.user, req.body)
+
+  res.status(201).json({
+    success: true,
+    message: "API key created. Copy the key now, it will not be shown again.",
+    data: result,
+  })
+})
+
+/**
+ * @desc    List API keys of current user
+ * @route   GET /api/v1/users/api-keys
+ * @access  Private
+ */
+const getApiKeys = asyncHandler(async (req, res) => {
+  const apiKeys = await apiKeyService.getApiKeys(req.user._id)
+
+  res.status(200).json({
+    success: true,
+    message: "API keys retrieved successfully",
+    data: { apiKeys },
+  })
+})
+
+/**
+ * @desc    Revoke API key
+ * @route   DELETE /api/v1/users/api-keys/:id
+ * @access  Private
+ */
+const revokeApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await apiKeyService.revokeApiKey(req.user._id, req.params.id)
+
+  res.status(200).json({
+    success: true,
+    message: "API key revoked successfully",
+    data: { apiKey },
+  })
+})
+
+/**
+ * @desc    Get all users
+ * @route   GET /api/v1/users
+ * @access  Private (user:read)
+ */
+const getAllUsers = asyncHandler(async (req, res) => {
+  // e.g. ?role=admin&isActive=true&createdAt[gte]=2024-01-01&sort=-lastLogin&fields=name,email
+  const result = await userService.getAllUsers(req.query)
 
   res.status(200).json({
     success: true,
@@ -89,12 +365,12 @@ const getAllUsers = asyncHandler(async (req, res) => {
 })
 
 /**
- * @desc    Delete user
+ * @desc    Delete user (moved to trash)
  * @route   DELETE /api/v1/users/:id
- * @access  Private/Admin
+ * @access  Private (user:delete)
  */
 const deleteUser = asyncHandler(async (req, res) => {
-  await userService.deleteUser(req.params.id)
+  await userService.deleteUser(req.params.id, req.user)
 
   res.status(200).json({
     success: true,
@@ -103,13 +379,150 @@ const deleteUser = asyncHandler(async (req, res) => {
 })
 
 /**
- * @desc    Logout user (client-side token removal)
+ * @desc    Get deleted users (trash)
+ * @route   GET /api/v1/users/trash
+ * @access  Private (user:delete)
+ */
+const getDeletedUsers = asyncHandler(async (req, res) => {
+  const result = await userService.getDeletedUsers({
+    page: req.query.page,
+    limit: req.query.limit,
+  })
+
+  res.status(200).json({
+    success: true,
+    message: "Deleted users retrieved successfully",
+    data: result,
+  })
+})
+
+/**
+ * @desc    Restore deleted user
+ * @route   PATCH /api/v1/users/:id/restore
+ * @access  Private (user:delete)
+ */
+const restoreUser = asyncHandler(async (req, res) => {
+  const user = await userService.restoreUser(req.params.id)
+
+  res.status(200).json({
+    success: true,
+    message: "User restored successfully",
+    data: { user },
+  })
+})
+
+/**
+ * @desc    Get single user (supports fields=)
+ * @route   GET /api/v1/users/:id
+ * @access  Private (user:read)
+ */
+const getUserById = asyncHandler(async (req, res) => {
+  const user = await userService.getUserById(req.params.id, req.query)
+
+  res.status(200).json({
+    success: true,
+    message: "User retrieved successfully",
+    data: { user },
+  })
+})
+
+/**
+ * @desc    Activate user
+ * @route   PATCH /api/v1/users/:id/activate
+ * @access  Private (user:update)
+ */
+const activateUser = asyncHandler(async (req, res) => {
+  const user = await userService.activateUser(req.params.id)
+
+  res.status(200).json({
+    success: true,
+    message: "User activated successfully",
+    data: { user },
+  })
+})
+
+/**
+ * @desc    Deactivate user
+ * @route   PATCH /api/v1/users/:id/deactivate
+ * @access  Private (user:update)
+ */
+const deactivateUser = asyncHandler(async (req, res) => {
+  const user = await userService.deactivateUser(req.params.id, req.user)
+
+  res.status(200).json({
+    success: true,
+    message: "User deactivated successfully",
+    data: { user },
+  })
+})
+
+/**
+ * @desc    Unlock user locked by failed logins
+ * @route   PATCH /api/v1/users/:id/unlock
+ * @access  Private (user:update)
+ */
+const unlockUser = asyncHandler(async (req, res) => {
+  const user = await userService.unlockUser(req.params.id)
+
+  res.status(200).json({
+    success: true,
+    message: "User unlocked successfully",
+    data: { user },
+  })
+})
+
+/**
+ * @desc    Force user to reset password
+ * @route   POST /api/v1/users/:id/force-password-reset
+ * @access  Private (user:update)
+ */
+const forcePasswordReset = asyncHandler(async (req, res) => {
+  const user = await userService.forcePasswordReset(req.params.id)
+
+  res.status(200).json({
+    success: true,
+    message: "User has been logged out and must reset their password",
+    data: { user },
+  })
+})
+
+/**
+ * @desc    Impersonate user
+ * @route   POST /api/v1/users/:id/impersonate
+ * @access  Private (user:impersonate)
+ */
+const impersonateUser = asyncHandler(async (req, res) => {
+  const result = await userService.impersonateUser(req.params.id, req.user, req.body.reason, getRequestContext(req))
+
+  res.status(200).json({
+    success: true,
+    message: `Impersonating ${result.user.email}. All requests with this token are attributed to you.`,
+    data: result,
+  })
+})
+
+/**
+ * @desc    Change role of a user
+ * @route   PUT /api/v1/users/:id/role
+ * @access  Private (role:manage)
+ */
+const changeUserRole = asyncHandler(async (req, res) => {
+  const user = await userService.changeUserRole(req.params.id, req.body.role, req.user)
+
+  res.status(200).json({
+    success: true,
+    message: "User role updated successfully",
+    data: { user },
+  })
+})
+
+/**
+ * @desc    Logout user (revokes the current token)
  * @route   POST /api/v1/users/logout
  * @access  Private
  */
 const logoutUser = asyncHandler(async (req, res) => {
-  // In a stateless JWT system, logout is typically handled client-side
-  // by removing the token. This endpoint can be used for logging purposes.
+  await userService.logoutUser(req.user, req.auth, req.body.refreshToken)
 
   res.status(200).json({
     success: true,
@@ -117,12 +530,54 @@ const logoutUser = asyncHandler(async (req, res) => {
   })
 })
 
+/**
+ * @desc    Logout user from all devices
+ * @route   POST /api/v1/users/logout-all
+ * @access  Private
+ */
+const logoutAllDevices = asyncHandler(async (req, res) => {
+  await userService.logoutAllDevices(req.user._id)
+
+  res.status(200).json({
+    success: true,
+    message: "Logged out from all devices.",
+  })
+})
+
 module.exports = {
   registerUser,
   loginUser,
+  verifyLoginMfa,
+  startLoginMfaSetup,
+  refreshToken,
+  verifyEmail,
+  resendVerificationEmail,
   getUserProfile,
   updateUserProfile,
+  getLoginHistory,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  regenerateBackupCodes,
+  getSessions,
+  revokeSession,
+  createApiKey,
+  getApiKeys,
+  revokeApiKey,
   getAllUsers,
   deleteUser,
+  getDeletedUsers,
+  restoreUser,
+  getUserById,
+  activateUser,
+  deactivateUser,
+  unlockUser,
+  forcePasswordReset,
+  impersonateUser,
+  changeUserRole,
   logoutUser,
+  logoutAllDevices,
 }
@@ -0,0 +1,112 @@
+const { asyncHandler } = require("../middlewares/errorHandler");
+const { getProductByIdService } = require("../services/productService");
+const {
+  getVariantsService,
+  getVariantService,
+  createVariantService,
+  updateVariantService,
+  deleteVariantService,
+} = require("../services/variantService");
+const roleService = require("../services/roleService");
+const AppError = require("../utils/appError");
+
+/**
+ * Load the product for a public read and decide whether the reader manages it
+ * (managers also see inactive variants)
+ */
+const loadForReading = async (req) => {
+  const product = await getProductByIdService(req.params.id);
+  if (!product) throw new AppError("Product not found", 404);
+
+  const includeInactive =
+    Boolean(req.user) &&
+    (await roleService.hasPermission(
+      req.user,
+      "product:update",
+      product,
+      req.apiKey && req.apiKey.scopes
+    ));
+
+  return { product, includeInactive };
+};
+
+/**
+ * Get the option definitions and variants of a product
+ * @route GET /api/v1/products/:id/variants
+ * @access Public (inactive variants only for product:update)
+ */
+const getVariants = asyncHandler(async (req, res) => {
+  const { product, includeInactive } = await loadForReading(req);
+
+  res.status(200).json({
+    success: true,
+    data: getVariantsService(product, { includeInactive }),
+  });
+});
+
+/**
+ * Get a single variant
+ * @route GET /api/v1/products/:id/variants/:variantId
+ * @access Public (inactive variants only for product:update)
+ */
+const getVariant = asyncHandler(async (req, res) => {
+  const { product, includeInactive } = await loadForReading(req);
+
+  res.status(200).json({
+    success: true,
+    data: getVariantService(product, req.params.variantId, { includeInactive }),
+  });
+});
+
+/**
+ * Add a variant
+ * @route POST /api/v1/products/:id/variants
+ * @access Private (product:update, own or any)
+ */
+const createVariant = asyncHandler(async (req, res) => {
+  // Loaded and authorized by the authorize("product:update") middleware
+  const variant = await createVariantService(req.resource, req.body, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    message: "Variant created successfully",
+    data: variant,
+  });
+});
+
+/**
+ * Update a variant
+ * @route PATCH /api/v1/products/:id/variants/:variantId
+ * @access Private (product:update, own or any)
+ */
+const updateVariant = asyncHandler(async (req, res) => {
+  const variant = await updateVariantService(req.resource, req.params.variantId, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: "Variant updated",
+    data: variant,
+  });
+});
+
+/**
+ * Delete a variant
+ * @route DELETE /api/v1/products/:id/variants/:variantId
+ * @access Private (product:update, own or any)
+ */
+const deleteVariant = asyncHandler(async (req, res) => {
+  await deleteVariantService(req.resource, req.params.variantId);
+
+  res.status(200).json({
+    success: true,
+    message: "Variant deleted successfully",
+  });
+});
+
+module.exports = {
+  getVariants,
+  getVariant,
+  createVariant,
+  updateVariant,
+  deleteVariant,
+};
@@ -0,0 +1,97 @@
+const ApiKey = require("../models/ApiKey")
+const LoginAttempt = require("../models/LoginAttempt")
+const Product = require("../models/Product")
+const RefreshToken = require("../models/RefreshToken")
+const Review = require("../models/Review")
+const Session = require("../models/Session")
+const User = require("../models/User")
+const storageService = require("../services/storageService")
+const { syncProductRating } = require("../services/reviewService")
+
+/**
+ * Permanently delete products, their reviews and the image files they uploaded
+ * Files are kept while a product is in the trash so it can be restored
+ * @param {Object} filter - Products to delete
+ * @returns {Promise<number>} - Number of deleted products
+ */
+const purgeProducts = async (filter) => {
+  const products = await Product.find(filter).withDeleted().select("images.key").lean()
+  if (products.length === 0) return 0
+
+  const productIds = products.map((product) => product._id)
+  const { deletedCount } = await Product.deleteMany({ _id: { $in: productIds } }).withDeleted()
+  await Review.deleteMany({ product: { $in: productIds } })
+  await storageService.removeAll(products.flatMap((product) => (product.images || []).map((image) => image.key)))
+
+  return deletedCount
+}
+
+/**
+ * Permanently remove documents that have been in the trash longer than the retention period
+ * @param {number} retentionDays - Days a deleted document is kept
+ * @returns {Promise<Object>} - Number of purged users and products
+ */
+const purgeDeleted = async (retentionDays) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000)
+
+  const expiredUsers = await User.find({ deletedAt: { $lt: cutoff } })
+    .withDeleted()
+    .select("_id")
+  const userIds = expiredUsers.map((user) => user._id)
+
+  if (userIds.length > 0) {
+    // Everything that belonged to a purged user goes with it
+    await purgeProducts({ user: { $in: userIds } })
+
+    // Their reviews no longer count towards other sellers' ratings
+    const reviewedProducts = await Review.find({ user: { $in: userIds } }).distinct("product")
+    await Review.deleteMany({ user: { $in: userIds } })
+    for (const productId of reviewedProducts) {
+      await syncProductRating(productId)
+    }
+
+    await Promise.all([
+      RefreshToken.deleteMany({ user: { $in: userIds } }),
+      Session.deleteMany({ user: { $in: userIds } }),
+      ApiKey.deleteMany({ user: { $in: userIds } }),
+      LoginAttempt.deleteMany({ user: { $in: userIds } }),
+    ])
+    await User.deleteMany({ _id: { $in: userIds } }).withDeleted()
+  }
+
+  const products = await purgeProducts({ deletedAt: { $lt: cutoff } })
+
+  return { users: userIds.length, products }
+}
+
+/**
+ * Run the purge once now and then periodically
+ * Retention and interval come from SOFT_DELETE_RETENTION_DAYS (default 30)
+ * and PURGE_INTERVAL_HOURS (default 24)
+ * @returns {NodeJS.Timeout} - Interval handle
+ */
+const schedulePurgeDeleted = () => {
+  const retentionDays = Number.parseInt(process.env.SOFT_DELETE_RETENTION_DAYS) || 30
+  const intervalHours = Number.parseInt(process.env.PURGE_INTERVAL_HOURS) || 24
+
+  const run = async () => {
+    try {
+      const purged = await purgeDeleted(retentionDays)
+      if (purged.users > 0 || purged.products > 0) {
+        console.log(`Purged ${purged.users} user(s) and ${purged.products} product(s) deleted over ${retentionDays} days ago`)
+      }
+    } catch (error) {
+      console.error("Purge of deleted documents failed:", error.message)
+    }
+  }
+
+  run()
+
+  // Do not keep the process alive just for this timer
+  return setInterval(run, intervalHours * 60 * 60 * 1000).unref()
+}
+
+module.exports = {
+  purgeDeleted,
+  schedulePurgeDeleted,
+}
@@ -1,8 +1,32 @@
 const { verifyToken } = require("../utils/jwt")
 const User = require("../models/User")
+const tokenService = require("../services/tokenService")
+const roleService = require("../services/roleService")
+const apiKeyService = require("../services/apiKeyService")
+const { setContextUser } = require("../utils/requestContext")
 
 /**
- * Middleware to protect routes - requires valid JWT token
+ * Resolve the user behind an X-API-Key header
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - { apiKey, user } or { error } describing why it was rejected
+ */
+const resolveApiKey = async (req) => {
+  const apiKey = await apiKeyService.authenticate(req.headers["x-api-key"], req.ip)
+  if (!apiKey) {
+    return { error: "Invalid, expired or revoked API key" }
+  }
+
+  const user = await User.findById(apiKey.user).select("-password")
+  if (!user || !user.isActive) {
+    return { error: "API key owner no longer exists or is deactivated" }
+  }
+
+  return { apiKey, user }
+}
+
+/**
+ * Middleware to protect routes - requires valid JWT token or API key
+ * API key requests are limited to the key's scopes (see authorize)
  */
 const protect = async (req, res, next) => {
   try {
@@ -13,6 +37,23 @@ const protect = async (req, res, next) => {
       token = req.headers.authorization.split(" ")[1]
     }
 
+    // Server-to-server clients authenticate with an API key instead
+    if (!token && req.headers["x-api-key"]) {
+      const { apiKey, user, error } = await resolveApiKey(req)
+
+      if (error) {
+        return res.status(401).json({
+          success: false,
+          message: error,
+        })
+      }
+
+      req.user = user
+      req.apiKey = apiKey
+      setContextUser(user)
+      return next()
+    }
+
     // Check if token exists
     if (!token) {
       return res.status(401).json({
@@ -41,8 +82,23 @@ const protect = async (req, res, next) => {
       })
     }
 
-    // Add user to request object
+    // Reject tokens revoked by logout, password change or deactivation
+    if (await tokenService.isAccessTokenRevoked(decoded, user)) {
+      return res.status(401).json({
+        success: false,
+        message: "Token has been revoked",
+      })
+    }
+
+    // Make impersonated requests visible to clients and logs
+    if (decoded.impersonatedBy) {
+      res.set("X-Impersonated-By", decoded.impersonatedBy)
+    }
+
+    // Add user and token payload to request object
     req.user = user
+    req.auth = decoded
+    setContextUser(user, decoded.impersonatedBy)
     next()
   } catch (error) {
     if (error.name === "JsonWebTokenError") {
@@ -83,7 +139,93 @@ const restrictTo = (...roles) => {
 }
 
 /**
- * Optional authentication - doesn't fail if no token provided
+ * Middleware to require a permission granted by the user's role
+ * For scoped permissions ("product:update" -> ":own"/":any") pass a loader so
+ * ownership can be checked; the loaded document is exposed as req.resource.
+ * Must be used after protect
+ * @param {string} permission - Permission such as "product:update" or "category:create"
+ * @param {Function} [resourceLoader] - async (req) => document the permission applies to
+ */
+const authorize = (permission, resourceLoader) => {
+  return async (req, res, next) => {
+    try {
+      let resource
+
+      if (resourceLoader) {
+        resource = await resourceLoader(req)
+
+        if (!resource) {
+          return res.status(404).json({
+            success: false,
+            message: "Resource not found",
+          })
+        }
+
+        req.resource = resource
+      }
+
+      const scopes = req.apiKey ? req.apiKey.scopes : undefined
+
+      if (!(await roleService.hasPermission(req.user, permission, resource, scopes))) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied. Insufficient permissions.",
+        })
+      }
+
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+}
+
+/**
+ * Middleware to reject API key authentication
+ * For account self-service routes that only a logged in person may use
+ * Must be used after protect
+ */
+const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message: "This endpoint cannot be used with an API key.",
+    })
+  }
+  next()
+}
+
+/**
+ * Middleware to reject impersonation tokens
+ * For sensitive account changes an admin must not make on a user's behalf
+ * Must be used after protect
+ */
+const denyImpersonation = (req, res, next) => {
+  if (req.auth && req.auth.impersonatedBy) {
+    return res.status(403).json({
+      success: false,
+      message: "This endpoint is not available while impersonating a user.",
+    })
+  }
+  next()
+}
+
+/**
+ * Middleware to require a verified email address
+ * Must be used after protect
+ */
+const requireVerified = (req, res, next) => {
+  if (!req.user.isEmailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: "Please verify your email address to perform this action.",
+    })
+  }
+  next()
+}
+
+/**
+ * Optional authentication - doesn't fail if no token or API key provided
  */
 const optionalAuth = async (req, res, next) => {
   try {
@@ -96,10 +238,20 @@ const optionalAuth = async (req, res, next) => {
         const decoded = verifyToken(token)
         const user = await User.findById(decoded.userId).select("-password")
 
-        if (user && user.isActive) {
+        if (user && user.isActive && !(await tokenService.isAccessTokenRevoked(decoded, user))) {
           req.user = user
+          req.auth = decoded
+          setContextUser(user, decoded.impersonatedBy)
         }
       }
+    } else if (req.headers["x-api-key"]) {
+      const { apiKey, user } = await resolveApiKey(req)
+
+      if (apiKey) {
+        req.user = user
+        req.apiKey = apiKey
+        setContextUser(user)
+      }
     }
 
     next()
@@ -112,5 +264,9 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   protect,
   restrictTo,
+  authorize,
+  requireSession,
+  denyImpersonation,
+  requireVerified,
   optionalAuth,
 }
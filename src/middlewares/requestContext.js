@@ -0,0 +1,25 @@
+const crypto = require("crypto")
+const { runWithContext } = require("../utils/requestContext")
+
+/**
+ * Assign a request id (reusing a valid incoming X-Request-Id) and open the
+ * request context used by audit logging
+ */
+const requestContext = (req, res, next) => {
+  const incomingId = req.get("x-request-id")
+  const requestId = incomingId && /^[\w-]{1,100}$/.test(incomingId) ? incomingId : crypto.randomUUID()
+
+  req.id = requestId
+  res.set("X-Request-Id", requestId)
+
+  runWithContext(
+    {
+      requestId,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+    next,
+  )
+}
+
+module.exports = requestContext
@@ -0,0 +1,96 @@
+const multer = require("multer")
+
+// Accepted image formats, recognised by their leading bytes rather than the
+// client-supplied Content-Type. SVG is deliberately not accepted (scripts).
+const IMAGE_SIGNATURES = [
+  { mimeType: "image/jpeg", extension: "jpg", matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  {
+    mimeType: "image/png",
+    extension: "png",
+    matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  { mimeType: "image/gif", extension: "gif", matches: (b) => ["GIF87a", "GIF89a"].includes(b.subarray(0, 6).toString("ascii")) },
+  {
+    mimeType: "image/webp",
+    extension: "webp",
+    matches: (b) => b.subarray(0, 4).toString("ascii") === "RIFF" && b.subarray(8, 12).toString("ascii") === "WEBP",
+  },
+]
+
+const ALLOWED_MIME_TYPES = IMAGE_SIGNATURES.map(({ mimeType }) => mimeType)
+
+/**
+ * Detect the image format from the file contents
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|undefined} - Matching signature ({ mimeType, extension })
+ */
+const detectImageType = (buffer) => IMAGE_SIGNATURES.find(({ matches }) => buffer.length >= 12 && matches(buffer))
+
+/**
+ * Multipart image upload middleware
+ * Files are kept in memory (bounded by MAX_IMAGE_SIZE_MB and the file count),
+ * checked by content and handed to the storage service by the controller.
+ * Each accepted file gets file.imageType = { mimeType, extension }.
+ * @param {string} field - Form field holding the files
+ * @param {number} [maxCount] - Maximum files per request (default: MAX_PRODUCT_IMAGES or 10)
+ */
+const uploadImages = (field, maxCount = Number.parseInt(process.env.MAX_PRODUCT_IMAGES) || 10) => {
+  const maxSizeMb = Number.parseFloat(process.env.MAX_IMAGE_SIZE_MB) || 5
+
+  const parser = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: Math.floor(maxSizeMb * 1024 * 1024),
+      files: maxCount,
+      fields: 10,
+    },
+    fileFilter: (req, file, cb) => {
+      if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+        return cb(new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname))
+      }
+      cb(null, true)
+    },
+  }).array(field, maxCount)
+
+  const messages = {
+    LIMIT_FILE_SIZE: `Images cannot be larger than ${maxSizeMb} MB`,
+    LIMIT_FILE_COUNT: `At most ${maxCount} images can be uploaded at once`,
+    LIMIT_UNEXPECTED_FILE: `Only ${ALLOWED_MIME_TYPES.join(", ")} files can be uploaded in the "${field}" field`,
+  }
+
+  return (req, res, next) => {
+    parser(req, res, (error) => {
+      if (error) {
+        return res.status(error instanceof multer.MulterError ? 400 : 500).json({
+          success: false,
+          message: messages[error.code] || error.message,
+        })
+      }
+
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: `No images uploaded. Send them as multipart/form-data in the "${field}" field.`,
+        })
+      }
+
+      for (const file of req.files) {
+        file.imageType = detectImageType(file.buffer)
+
+        if (!file.imageType) {
+          return res.status(400).json({
+            success: false,
+            message: `${file.originalname} is not a valid ${ALLOWED_MIME_TYPES.join(", ")} image`,
+          })
+        }
+      }
+
+      next()
+    })
+  }
+}
+
+module.exports = {
+  uploadImages,
+  detectImageType,
+}
@@ -1,4 +1,5 @@
 const Joi = require("joi")
+const { PERMISSIONS } = require("../config/permissions")
 
 /**
  * Generic validation middleware
@@ -29,6 +30,17 @@ const validate = (schema, property = "body") => {
   }
 }
 
+// Password strength rules shared by register, change and reset
+const passwordSchema = Joi.string()
+  .min(6)
+  .max(128)
+  .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .messages({
+    "string.min": "Password must be at least 6 characters long",
+    "string.max": "Password cannot exceed 128 characters",
+    "string.pattern.base": "Password must contain at least one lowercase letter, one uppercase letter, and one number",
+  })
+
 // User validation schemas
 const userValidation = {
   register: Joi.object({
@@ -43,18 +55,9 @@ const userValidation = {
       "any.required": "Email is required",
     }),
 
-    password: Joi.string()
-      .min(6)
-      .max(128)
-      .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-      .required()
-      .messages({
-        "string.min": "Password must be at least 6 characters long",
-        "string.max": "Password cannot exceed 128 characters",
-        "string.pattern.base":
-          "Password must contain at least one lowercase letter, one uppercase letter, and one number",
-        "any.required": "Password is required",
-      }),
+    password: passwordSchema.required().messages({
+      "any.required": "Password is required",
+    }),
   }),
 
   login: Joi.object({
@@ -68,6 +71,137 @@ const userValidation = {
     }),
   }),
 
+  verifyLoginMfa: Joi.object({
+    mfaToken: Joi.string().required().messages({
+      "any.required": "MFA token is required",
+    }),
+
+    code: Joi.string().trim().required().messages({
+      "any.required": "Authentication code is required",
+    }),
+  }),
+
+  startLoginMfaSetup: Joi.object({
+    mfaToken: Joi.string().required().messages({
+      "any.required": "MFA token is required",
+    }),
+  }),
+
+  mfaCode: Joi.object({
+    code: Joi.string()
+      .trim()
+      .pattern(/^\d{6}$/)
+      .required()
+      .messages({
+        "string.pattern.base": "Authentication code must be 6 digits",
+        "any.required": "Authentication code is required",
+      }),
+  }),
+
+  disableMfa: Joi.object({
+    password: Joi.string().required().messages({
+      "any.required": "Password is required",
+    }),
+
+    code: Joi.string().trim().required().messages({
+      "any.required": "Authentication code or backup code is required",
+    }),
+  }),
+
+  changePassword: Joi.object({
+    currentPassword: Joi.string().required().messages({
+      "any.required": "Current password is required",
+    }),
+
+    newPassword: passwordSchema
+      .invalid(Joi.ref("currentPassword"))
+      .required()
+      .messages({
+        "any.invalid": "New password must be different from the current password",
+        "any.required": "New password is required",
+      }),
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().lowercase().required().messages({
+      "string.email": "Please provide a valid email address",
+      "any.required": "Email is required",
+    }),
+  }),
+
+  resetPassword: Joi.object({
+    password: passwordSchema.required().messages({
+      "any.required": "Password is required",
+    }),
+  }),
+
+  createApiKey: Joi.object({
+    name: Joi.string().trim().min(2).max(100).required().messages({
+      "string.min": "Name must be at least 2 characters long",
+      "string.max": "Name cannot exceed 100 characters",
+      "any.required": "Name is required",
+    }),
+
+    scopes: Joi.array()
+      .items(Joi.string().valid(...PERMISSIONS))
+      .min(1)
+      .unique()
+      .required()
+      .messages({
+        "any.only": "Unknown scope",
+        "array.min": "At least one scope is required",
+        "any.required": "Scopes are required",
+      }),
+
+    expiresAt: Joi.date().greater("now").messages({
+      "date.greater": "Expiry must be in the future",
+    }),
+  }),
+
+  userIdParam: Joi.object({
+    id: Joi.string().hex().length(24).required().messages({
+      "string.hex": "Invalid user id",
+      "string.length": "Invalid user id",
+    }),
+  }),
+
+  listUsers: Joi.object({
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+    sort: Joi.string().trim(),
+    fields: Joi.string().trim(),
+    expand: Joi.string().trim(),
+    search: Joi.string().trim().allow(""),
+  }),
+
+  getUser: Joi.object({
+    fields: Joi.string().trim(),
+  }),
+
+  impersonate: Joi.object({
+    reason: Joi.string().trim().min(5).max(500).required().messages({
+      "string.min": "Reason must be at least 5 characters long",
+      "string.max": "Reason cannot exceed 500 characters",
+      "any.required": "A reason is required to impersonate a user",
+    }),
+  }),
+
+  changeRole: Joi.object({
+    role: Joi.string().trim().lowercase().required().messages({
+      "any.required": "Role is required",
+    }),
+  }),
+
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().required().messages({
+      "any.required": "Refresh token is required",
+    }),
+  }),
+
+  logout: Joi.object({
+    refreshToken: Joi.string(),
+  }),
+
   updateProfile: Joi.object({
     name: Joi.string().trim().min(2).max(50).messages({
       "string.min": "Name must be at least 2 characters long",
@@ -80,7 +214,408 @@ const userValidation = {
   }),
 }
 
+// Role validation schemas
+const roleValidation = {
+  create: Joi.object({
+    name: Joi.string()
+      .trim()
+      .lowercase()
+      .pattern(/^[a-z][a-z0-9_-]*$/)
+      .max(30)
+      .required()
+      .messages({
+        "string.pattern.base": "Role name may only contain lowercase letters, numbers, dashes and underscores",
+        "any.required": "Role name is required",
+      }),
+
+    description: Joi.string().trim().max(200),
+
+    permissions: Joi.array()
+      .items(Joi.string().valid(...PERMISSIONS))
+      .unique()
+      .default([])
+      .messages({
+        "any.only": "Unknown permission",
+      }),
+  }),
+
+  update: Joi.object({
+    description: Joi.string().trim().max(200),
+
+    permissions: Joi.array()
+      .items(Joi.string().valid(...PERMISSIONS))
+      .unique()
+      .messages({
+        "any.only": "Unknown permission",
+      }),
+  }).min(1),
+}
+
+// Audit log validation schemas
+const auditValidation = {
+  list: Joi.object({
+    actor: Joi.string().hex().length(24).messages({
+      "string.hex": "Invalid actor id",
+      "string.length": "Invalid actor id",
+    }),
+    entity: Joi.string().valid("User", "Product", "Category", "Order", "Coupon"),
+    entityId: Joi.string().hex().length(24).messages({
+      "string.hex": "Invalid entity id",
+      "string.length": "Invalid entity id",
+    }),
+    action: Joi.string().valid("create", "update", "delete", "restore", "purge", "impersonate"),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref("from")),
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+  }),
+}
+
+// Product validation schemas
+const productValidation = {
+  list: Joi.object({
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+    cursor: Joi.string().trim(),
+    pagination: Joi.string().valid("offset", "cursor"),
+    sort: Joi.string().trim(),
+    fields: Joi.string().trim(),
+    expand: Joi.string().trim(),
+    search: Joi.string().trim().max(100).allow(""),
+    inStock: Joi.boolean(),
+    minPrice: Joi.number().min(0),
+    maxPrice: Joi.number()
+      .min(0)
+      .when("minPrice", { is: Joi.exist(), then: Joi.number().min(Joi.ref("minPrice")) })
+      .messages({
+        "number.min": "maxPrice cannot be lower than minPrice",
+      }),
+    minRating: Joi.number().min(0).max(5),
+    createdFrom: Joi.date().iso(),
+    createdTo: Joi.date()
+      .iso()
+      .when("createdFrom", { is: Joi.exist(), then: Joi.date().min(Joi.ref("createdFrom")) })
+      .messages({
+        "date.min": "createdTo cannot be before createdFrom",
+      }),
+  })
+    .oxor("page", "cursor")
+    .messages({
+      "object.oxor": "Use either page or cursor, not both",
+    }),
+
+  show: Joi.object({
+    fields: Joi.string().trim(),
+    expand: Joi.string().trim(),
+  }),
+
+  adjustStock: Joi.object({
+    quantity: Joi.number().integer().invalid(0).required().messages({
+      "any.invalid": "Quantity cannot be 0",
+      "any.required": "Quantity is required (negative to remove stock)",
+    }),
+    reason: Joi.string().trim().min(3).max(200).required().messages({
+      "any.required": "A reason is required to adjust stock",
+    }),
+    reference: Joi.string().trim().max(100),
+  }),
+
+  reorderImages: Joi.object({
+    order: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .unique()
+      .min(1)
+      .required()
+      .messages({
+        "any.required": "order must list the image ids in the new order",
+        "array.unique": "Each image can only appear once",
+      }),
+  }),
+
+  changeReservation: Joi.object({
+    quantity: Joi.number().integer().min(1).required(),
+    reason: Joi.string().trim().max(200),
+    reference: Joi.string().trim().max(100),
+  }),
+}
+
+// Variant validation schemas
+const skuSchema = Joi.string()
+  .trim()
+  .pattern(/^[A-Za-z0-9][A-Za-z0-9_-]*$/)
+  .max(64)
+  .messages({
+    "string.pattern.base": "SKU can only contain letters, numbers, hyphens and underscores",
+  })
+
+// Option name -> value, e.g. { "Size": "M", "Color": "Red" }
+const variantOptionsSchema = Joi.object()
+  .pattern(/^[^.$][^.]*$/, Joi.string().trim().min(1).max(50).required())
+  .min(1)
+  .messages({
+    "object.unknown": "Option names cannot start with $ or contain dots",
+  })
+
+const variantValidation = {
+  params: Joi.object({
+    id: Joi.string().hex().length(24).required(),
+    variantId: Joi.string().hex().length(24).required().messages({
+      "string.hex": "Invalid variant id",
+      "string.length": "Invalid variant id",
+    }),
+  }),
+
+  create: Joi.object({
+    sku: skuSchema.required().messages({
+      "any.required": "SKU is required",
+    }),
+    options: variantOptionsSchema.required(),
+    price: Joi.number().min(0),
+    imageUrl: Joi.string().trim().uri(),
+    isActive: Joi.boolean(),
+    quantity: Joi.number().integer().min(0),
+  }),
+
+  update: Joi.object({
+    sku: skuSchema,
+    options: variantOptionsSchema,
+    price: Joi.number().min(0).allow(null),
+    imageUrl: Joi.string().trim().uri().allow(null),
+    isActive: Joi.boolean(),
+  }).min(1),
+}
+
+// Category validation schemas
+const objectId = Joi.string().hex().length(24).messages({
+  "string.hex": "Invalid id",
+  "string.length": "Invalid id",
+})
+
+const slugSchema = Joi.string()
+  .trim()
+  .lowercase()
+  .pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+  .max(120)
+  .messages({
+    "string.pattern.base": "Slug can only contain lowercase letters, numbers and single hyphens",
+  })
+
+const categoryValidation = {
+  idParam: Joi.object({
+    id: objectId.required(),
+  }),
+
+  create: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required().messages({
+      "any.required": "Category name is required",
+    }),
+    slug: slugSchema,
+    parent: objectId.allow(null),
+    order: Joi.number().integer().min(0),
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    slug: slugSchema,
+    order: Joi.number().integer().min(0),
+  }).min(1),
+
+  move: Joi.object({
+    parent: objectId.allow(null).required().messages({
+      "any.required": "Parent is required (null moves the category to the top level)",
+    }),
+    order: Joi.number().integer().min(0),
+  }),
+}
+
+// Cart validation schemas
+const cartQuantity = Joi.number().integer().min(1).max(Number.parseInt(process.env.MAX_CART_ITEM_QUANTITY) || 99)
+
+const cartValidation = {
+  itemParam: Joi.object({
+    itemId: objectId.required(),
+  }),
+
+  addItem: Joi.object({
+    product: objectId.required().messages({
+      "any.required": "Product is required",
+    }),
+    variant: objectId,
+    quantity: cartQuantity.default(1),
+  }),
+
+  updateItem: Joi.object({
+    quantity: cartQuantity.required().messages({
+      "any.required": "Quantity is required",
+    }),
+  }),
+
+  applyCoupon: Joi.object({
+    code: Joi.string().trim().max(40).required().messages({
+      "any.required": "Coupon code is required",
+    }),
+  }),
+}
+
+// Order validation schemas
+const addressSchema = Joi.object({
+  fullName: Joi.string().trim().max(100).required(),
+  line1: Joi.string().trim().max(200).required(),
+  line2: Joi.string().trim().max(200).allow(""),
+  city: Joi.string().trim().max(100).required(),
+  state: Joi.string().trim().max(100).allow(""),
+  postalCode: Joi.string().trim().max(20).required(),
+  country: Joi.string().trim().length(2).required().messages({
+    "string.length": "Country must be a 2-letter ISO code",
+  }),
+  phone: Joi.string().trim().max(30).allow(""),
+})
+
+const orderValidation = {
+  idParam: Joi.object({
+    id: objectId.required(),
+  }),
+
+  // Filters such as status[eq] are checked by the query parser
+  list: Joi.object({
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+    sort: Joi.string().trim(),
+    fields: Joi.string().trim(),
+  }),
+
+  checkout: Joi.object({
+    shippingAddress: addressSchema.required().messages({
+      "any.required": "Shipping address is required",
+    }),
+    notes: Joi.string().trim().max(500).allow(""),
+  }),
+
+  updateStatus: Joi.object({
+    status: Joi.string().valid("paid", "shipped", "delivered", "cancelled", "refunded").required(),
+    note: Joi.string().trim().max(500).allow(""),
+    // Refunds after shipping: put the units back into stock
+    restock: Joi.boolean(),
+  }),
+
+  pay: Joi.object({
+    // Provider specific; the fake gateway takes fake_success, fake_decline or fake_delayed
+    paymentMethod: Joi.string().trim().max(200).required().messages({
+      "any.required": "Payment method is required",
+    }),
+  }),
+}
+
+// Coupon validation schemas
+const couponCodeSchema = Joi.string()
+  .trim()
+  .pattern(/^[A-Za-z0-9_-]{3,40}$/)
+  .messages({
+    "string.pattern.base": "Coupon code must be 3-40 letters, numbers, hyphens or underscores",
+  })
+
+const couponFields = {
+  code: couponCodeSchema,
+  description: Joi.string().trim().max(200).allow(""),
+  type: Joi.string().valid("percent", "fixed"),
+  value: Joi.number().positive().when("type", {
+    is: "percent",
+    then: Joi.number().max(100).messages({ "number.max": "A percentage cannot be more than 100" }),
+  }),
+  minOrderValue: Joi.number().min(0),
+  startsAt: Joi.date().iso().allow(null),
+  endsAt: Joi.date().iso().allow(null).when("startsAt", {
+    is: Joi.date().required(),
+    then: Joi.date().greater(Joi.ref("startsAt")).messages({
+      "date.greater": "End date must be after the start date",
+    }),
+  }),
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  perUserLimit: Joi.number().integer().min(1).allow(null),
+  products: Joi.array().items(objectId).unique(),
+  categories: Joi.array().items(objectId).unique(),
+  isActive: Joi.boolean(),
+}
+
+const couponValidation = {
+  idParam: Joi.object({
+    id: objectId.required(),
+  }),
+
+  // Filters such as type[eq] are checked by the query parser
+  list: Joi.object({
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+    sort: Joi.string().trim(),
+    fields: Joi.string().trim(),
+  }),
+
+  create: Joi.object({
+    ...couponFields,
+    code: couponCodeSchema.required().messages({ "any.required": "Coupon code is required" }),
+    type: couponFields.type.required().messages({ "any.required": "Coupon type is required" }),
+    value: couponFields.value.required().messages({ "any.required": "Coupon value is required" }),
+  }),
+
+  update: Joi.object(couponFields).min(1),
+}
+
+// Review validation schemas
+const reviewFields = {
+  rating: Joi.number().integer().min(1).max(5).messages({
+    "number.base": "Rating must be a number from 1 to 5",
+    "number.integer": "Rating must be a whole number",
+    "number.min": "Rating must be between 1 and 5",
+    "number.max": "Rating must be between 1 and 5",
+  }),
+  title: Joi.string().trim().max(100).allow(""),
+  body: Joi.string().trim().max(2000).allow(""),
+}
+
+const reviewValidation = {
+  productParam: Joi.object({
+    id: objectId.required(),
+  }),
+
+  params: Joi.object({
+    id: objectId.required(),
+    reviewId: objectId.required().messages({
+      "string.hex": "Invalid review id",
+      "string.length": "Invalid review id",
+    }),
+  }),
+
+  create: Joi.object({
+    ...reviewFields,
+    rating: reviewFields.rating.required().messages({ "any.required": "Rating is required" }),
+  }),
+
+  update: Joi.object(reviewFields).min(1),
+
+  // Filters such as rating[gte] are checked by the query parser
+  list: Joi.object({
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+    sort: Joi.string().trim(),
+    fields: Joi.string().trim(),
+  }),
+
+  moderate: Joi.object({
+    status: Joi.string().valid("approved", "hidden").required(),
+    note: Joi.string().trim().max(500).allow(""),
+  }),
+}
+
 module.exports = {
   validate,
   userValidation,
+  roleValidation,
+  auditValidation,
+  productValidation,
+  categoryValidation,
+  variantValidation,
+  cartValidation,
+  orderValidation,
+  couponValidation,
+  reviewValidation,
 }
@@ -0,0 +1,80 @@
+const mongoose = require("mongoose")
+const { PERMISSIONS } = require("../config/permissions")
+
+/**
+ * API Key Schema Definition
+ * Long-lived credentials for server-to-server integrations. Only a hash of
+ * the key is stored; the prefix identifies the key in listings and lookups.
+ */
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "API key name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    prefix: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: { values: PERMISSIONS, message: "Unknown scope: {VALUE}" },
+        },
+      ],
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+)
+
+/**
+ * Virtual property telling whether the key can currently be used
+ */
+apiKeySchema.virtual("isActive").get(function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now())
+})
+
+/**
+ * Instance method to get key data without the hash
+ * @returns {Object} - API key object without keyHash
+ */
+apiKeySchema.methods.toSafeObject = function () {
+  const apiKeyObject = this.toObject()
+  delete apiKeyObject.keyHash
+  return apiKeyObject
+}
+
+apiKeySchema.index({ user: 1, createdAt: -1 })
+
+module.exports = mongoose.model("ApiKey", apiKeySchema)
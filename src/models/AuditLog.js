@@ -0,0 +1,62 @@
+const mongoose = require("mongoose")
+
+/**
+ * Audit Log Schema Definition
+ * One entry per created, updated, deleted, restored or purged document of
+ * an audited model, written automatically by the audit plugin. Bulk
+ * operations get a single entry for all the documents they touched.
+ * Impersonations are recorded against the impersonated user.
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId, // Empty for system actions (jobs, lockouts)
+      ref: "User",
+    },
+    impersonatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    action: {
+      type: String,
+      enum: ["create", "update", "delete", "restore", "purge", "impersonate"],
+      required: true,
+    },
+    entity: {
+      type: String,
+      required: true,
+    },
+    // Empty for bulk operations, which record the filter instead
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    // updateMany/deleteMany only: what was matched, the update and how many changed
+    bulk: {
+      filter: { type: mongoose.Schema.Types.Mixed },
+      update: { type: mongoose.Schema.Types.Mixed },
+      count: { type: Number },
+    },
+    changes: {
+      before: { type: mongoose.Schema.Types.Mixed },
+      after: { type: mongoose.Schema.Types.Mixed },
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    requestId: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 })
+auditLogSchema.index({ actor: 1, createdAt: -1 })
+auditLogSchema.index({ createdAt: -1 })
+
+module.exports = mongoose.model("AuditLog", auditLogSchema)
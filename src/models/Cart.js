@@ -0,0 +1,114 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// Guest carts are removed after this many days without a change
+const GUEST_CART_TTL_DAYS = Number.parseInt(process.env.GUEST_CART_TTL_DAYS) || 30;
+
+/**
+ * Cart Item Schema Definition
+ * Name and price are snapshots taken when the line was added or last
+ * refreshed; they are re-validated against the product whenever the cart is read.
+ */
+const CartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  // Set when the product is sold as variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, "Quantity must be at least 1"],
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: [0, "Price cannot be negative"],
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  sku: {
+    type: String,
+  },
+});
+
+/**
+ * Cart Schema Definition
+ * One cart per user; guests get a cart keyed by a random cart token, of which
+ * only the hash is stored
+ */
+const CartSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    tokenHash: {
+      type: String,
+      select: false,
+    },
+    items: {
+      type: [CartItemSchema],
+      default: [],
+    },
+    // Checked again (and possibly rejected) every time the cart is priced
+    couponCode: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null,
+    },
+    // Guest carts only; user carts never expire
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+CartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $type: "objectId" } } });
+CartSchema.index({ tokenHash: 1 }, { unique: true, partialFilterExpression: { tokenHash: { $type: "string" } } });
+CartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+CartSchema.statics.hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Create an empty guest cart
+ * @returns {Promise<{ cart: Object, token: string }>} - The cart and its plain token (shown once)
+ */
+CartSchema.statics.createGuestCart = async function () {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const cart = new this({ tokenHash: this.hashToken(token) });
+  cart.touch();
+  await cart.save();
+  return { cart, token };
+};
+
+// Push a guest cart's expiry back after every change
+CartSchema.methods.touch = function () {
+  if (!this.user) {
+    this.expiresAt = new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+  }
+};
+
+// Line holding this product (and variant), if any
+CartSchema.methods.findItem = function (productId, variantId) {
+  return this.items.find(
+    (item) =>
+      item.product.equals(productId) &&
+      String(item.variant || "") === String(variantId || "")
+  );
+};
+
+module.exports = mongoose.model("Cart", CartSchema);
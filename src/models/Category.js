@@ -1,8 +1,84 @@
 const mongoose = require("mongoose");
+const auditPlugin = require("./plugins/audit");
 
-const categorySchema = new mongoose.Schema({
-  name: { type: String, required: true, unique: true },
-  subcategories: [{ type: String, required: true }],
+/**
+ * Turn a name into a URL-friendly slug ("Home & Garden" -> "home-garden")
+ */
+const slugify = (text) =>
+  String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Category name is required"],
+      trim: true,
+      maxlength: [100, "Max 100 characters allowed"],
+    },
+    slug: {
+      type: String,
+      unique: true,
+      sparse: true, // Categories from before the tree had no slug until migrated
+      lowercase: true,
+      trim: true,
+    },
+    // null for top-level categories
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+      index: true,
+    },
+    // Materialized path from the root down to the parent, used for subtree
+    // queries and to stop a category from being moved below itself
+    ancestors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+      },
+    ],
+    // Position among siblings, lowest first
+    order: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+// Names only have to be unique among siblings
+categorySchema.index({ parent: 1, name: 1 }, { unique: true });
+categorySchema.index({ ancestors: 1 });
+
+// Generate a unique slug from the name unless one was given
+categorySchema.pre("validate", async function (next) {
+  try {
+    if (this.slug && !this.isModified("name")) return next();
+    if (this.slug && this.isModified("slug")) return next();
+
+    const base = slugify(this.name) || "category";
+    let slug = base;
+    let suffix = 2;
+
+    while (await this.constructor.exists({ slug, _id: { $ne: this._id } })) {
+      slug = `${base}-${suffix++}`;
+    }
+
+    this.slug = slug;
+    next();
+  } catch (error) {
+    next(error);
+  }
 });
 
-module.exports = mongoose.model("Category", categorySchema);
\ No newline at end of file
+categorySchema.statics.slugify = slugify;
+
+// Record every change in the audit log
+categorySchema.plugin(auditPlugin, { entity: "Category" });
+
+module.exports = mongoose.model("Category", categorySchema);
@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+const auditPlugin = require("./plugins/audit");
+
+/**
+ * Coupon Schema Definition
+ * A discount code: a percentage or a fixed amount off the items it applies
+ * to. Whether a coupon applies to a cart is decided by applyCoupon in the
+ * coupon service.
+ */
+const CouponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Coupon code is required"],
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Max 200 characters allowed"],
+    },
+    type: {
+      type: String,
+      enum: ["percent", "fixed"],
+      required: [true, "Coupon type is required"],
+    },
+    // Percentage (1-100) or amount off
+    value: {
+      type: Number,
+      required: [true, "Coupon value is required"],
+      min: [0, "Value cannot be negative"],
+    },
+    // Cart subtotal needed before the coupon can be used
+    minOrderValue: {
+      type: Number,
+      default: 0,
+      min: [0, "Minimum order value cannot be negative"],
+    },
+    // Both optional; a coupon without them is valid until deactivated
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+    endsAt: {
+      type: Date,
+      default: null,
+    },
+    // Total redemptions allowed (null for unlimited)
+    usageLimit: {
+      type: Number,
+      default: null,
+      min: [1, "Usage limit must be at least 1"],
+    },
+    // Redemptions allowed per user (null for unlimited). Guests can only use
+    // coupons without a per-user limit.
+    perUserLimit: {
+      type: Number,
+      default: null,
+      min: [1, "Per-user limit must be at least 1"],
+    },
+    // Orders placed with the coupon that were not cancelled
+    usedCount: {
+      type: Number,
+      default: 0,
+    },
+    // Restrictions: when either list is set, the discount only applies to
+    // those products and to products anywhere below those categories
+    products: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+      default: [],
+    },
+    categories: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+      default: [],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+CouponSchema.pre("validate", function (next) {
+  if (this.type === "percent" && (this.value <= 0 || this.value > 100)) {
+    this.invalidate("value", "A percentage must be between 0 and 100");
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate("endsAt", "End date must be after the start date");
+  }
+  next();
+});
+
+// Record every change in the audit log
+CouponSchema.plugin(auditPlugin, { entity: "Coupon" });
+
+module.exports = mongoose.model("Coupon", CouponSchema);
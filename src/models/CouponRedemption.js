@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+/**
+ * Coupon Redemption Schema Definition
+ * One use of a coupon by an order; per-user limits are counted from these.
+ * Removed again when the order is cancelled.
+ */
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      unique: true,
+    },
+    discount: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+
+module.exports = mongoose.model("CouponRedemption", couponRedemptionSchema);
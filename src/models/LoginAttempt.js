@@ -0,0 +1,47 @@
+const mongoose = require("mongoose")
+
+/**
+ * Login Attempt Schema Definition
+ * History of successful and failed logins, shown to users on their profile
+ */
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: ["success", "invalid_credentials", "invalid_mfa_code", "locked", "deactivated"],
+      required: true,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+loginAttemptSchema.index({ user: 1, createdAt: -1 })
+
+// Keep history for a limited time (default 90 days)
+loginAttemptSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: (Number.parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS) || 90) * 24 * 60 * 60 },
+)
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema)
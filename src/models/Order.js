@@ -0,0 +1,219 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const auditPlugin = require("./plugins/audit");
+
+const ORDER_STATUSES = ["pending", "paid", "shipped", "delivered", "cancelled", "refunded"];
+
+// Status changes allowed from each status; cancelled and refunded are final
+const TRANSITIONS = {
+  pending: ["paid", "cancelled"],
+  paid: ["shipped", "refunded"],
+  shipped: ["delivered", "refunded"],
+  delivered: ["refunded"],
+  cancelled: [],
+  refunded: [],
+};
+
+// Delivered orders can be refunded for this many days
+const REFUND_WINDOW_DAYS = Number.parseInt(process.env.REFUND_WINDOW_DAYS) || 30;
+
+/**
+ * Order line: a snapshot of what was bought at checkout, so later catalogue
+ * changes never alter a placed order
+ */
+const OrderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  sku: {
+    type: String,
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: [0, "Price cannot be negative"],
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, "Quantity must be at least 1"],
+  },
+  lineTotal: {
+    type: Number,
+    required: true,
+  },
+});
+
+const AddressSchema = new mongoose.Schema(
+  {
+    fullName: { type: String, required: [true, "Full name is required"], trim: true },
+    line1: { type: String, required: [true, "Address line 1 is required"], trim: true },
+    line2: { type: String, trim: true },
+    city: { type: String, required: [true, "City is required"], trim: true },
+    state: { type: String, trim: true },
+    postalCode: { type: String, required: [true, "Postal code is required"], trim: true },
+    country: { type: String, required: [true, "Country is required"], trim: true, uppercase: true },
+    phone: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+const StatusChangeSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ORDER_STATUSES,
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    // null for changes made by the system
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Max 500 characters allowed"],
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Order Schema Definition
+ * Status changes go through the order service, which enforces TRANSITIONS
+ * and moves the reserved stock along with them
+ */
+const OrderSchema = new mongoose.Schema(
+  {
+    orderNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    items: {
+      type: [OrderItemSchema],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: "An order needs at least one item",
+      },
+    },
+    subtotal: {
+      type: Number,
+      required: true,
+    },
+    discount: {
+      type: Number,
+      default: 0,
+    },
+    // Coupon the discount came from
+    coupon: {
+      code: String,
+      coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Coupon",
+      },
+    },
+    total: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: () => (process.env.CURRENCY || "USD").toUpperCase(),
+    },
+    shippingAddress: {
+      type: AddressSchema,
+      required: [true, "Shipping address is required"],
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Max 500 characters allowed"],
+    },
+    status: {
+      type: String,
+      enum: ORDER_STATUSES,
+      default: "pending",
+    },
+    statusHistory: {
+      type: [StatusChangeSchema],
+      default: [],
+    },
+    // Where the payment stands; the order only becomes paid once it succeeded
+    paymentStatus: {
+      type: String,
+      enum: ["unpaid", "processing", "paid", "failed", "refunded"],
+      default: "unpaid",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+OrderSchema.index({ user: 1, createdAt: -1 });
+OrderSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * Generate a human friendly order number, e.g. ORD-20240131-7KQ2ZC
+ */
+OrderSchema.statics.generateOrderNumber = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+  const suffix = crypto.randomBytes(4).readUInt32BE().toString(36).toUpperCase().padStart(6, "0").slice(-6);
+  return `ORD-${date}-${suffix}`;
+};
+
+OrderSchema.statics.STATUSES = ORDER_STATUSES;
+OrderSchema.statics.TRANSITIONS = TRANSITIONS;
+
+// When the order last entered a status
+OrderSchema.methods.statusChangedAt = function (status) {
+  const change = [...this.statusHistory].reverse().find((entry) => entry.status === status);
+  return change ? change.at : undefined;
+};
+
+/**
+ * Why the order cannot move to a status, or null if it can
+ * @param {string} status - Target status
+ * @returns {(string|null)} - Reason the change is not allowed
+ */
+OrderSchema.methods.transitionError = function (status) {
+  if (!TRANSITIONS[this.status].includes(status)) {
+    return `Cannot change an order from ${this.status} to ${status}`;
+  }
+
+  if (status === "refunded" && this.status === "delivered") {
+    const deliveredAt = this.statusChangedAt("delivered");
+    if (deliveredAt && Date.now() - deliveredAt > REFUND_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+      return `Orders can only be refunded within ${REFUND_WINDOW_DAYS} days of delivery`;
+    }
+  }
+
+  return null;
+};
+
+// Record every change in the audit log
+OrderSchema.plugin(auditPlugin, { entity: "Order" });
+
+module.exports = mongoose.model("Order", OrderSchema);
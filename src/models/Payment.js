@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+/**
+ * Payment Schema Definition
+ * One attempt to pay an order through a payment provider. Declined attempts
+ * are kept, so an order can have several payments but at most one that went
+ * through.
+ */
+const PaymentSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    // The provider's id for the payment (payment intent)
+    intentId: {
+      type: String,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    // processing: waiting for the provider to confirm (by webhook)
+    status: {
+      type: String,
+      enum: ["processing", "succeeded", "failed", "refunded"],
+      default: "processing",
+    },
+    failureReason: {
+      type: String,
+    },
+    refundId: {
+      type: String,
+    },
+    succeededAt: {
+      type: Date,
+    },
+    refundedAt: {
+      type: Date,
+    },
+    // Webhook events already applied, so redeliveries are ignored
+    processedEvents: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+PaymentSchema.index({ provider: 1, intentId: 1 }, { unique: true });
+PaymentSchema.index({ order: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Payment", PaymentSchema);
@@ -1,4 +1,124 @@
 const mongoose = require("mongoose");
+const softDeletePlugin = require("./plugins/softDelete");
+const auditPlugin = require("./plugins/audit");
+
+/**
+ * Uploaded image; key identifies the file in the storage adapter
+ */
+const ImageSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    contentType: {
+      type: String,
+    },
+    size: {
+      type: Number,
+    },
+    alt: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Max 200 characters allowed"],
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+/**
+ * Option definition, e.g. { name: "Size", values: ["S", "M", "L"] }
+ */
+const OptionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Option name is required"],
+      trim: true,
+    },
+    values: {
+      type: [{ type: String, trim: true }],
+      validate: {
+        validator: (values) => values.length > 0 && new Set(values).size === values.length,
+        message: "Option values must be a non-empty list without duplicates",
+      },
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Purchasable variant, one per combination of option values
+ */
+const VariantSchema = new mongoose.Schema(
+  {
+    sku: {
+      type: String,
+      required: [true, "SKU is required"],
+      trim: true,
+      uppercase: true,
+    },
+    // Option name -> chosen value, e.g. { Size: "M", Color: "Red" }
+    options: {
+      type: Map,
+      of: String,
+      required: true,
+    },
+    // Overrides the product price when set
+    price: {
+      type: Number,
+      min: [0, "Price cannot be negative"],
+    },
+    imageUrl: {
+      type: String,
+    },
+    // Changed through the inventory service only, like the product stock
+    quantity: {
+      type: Number,
+      default: 0,
+      min: [0, "Quantity cannot be negative"],
+    },
+    reserved: {
+      type: Number,
+      default: 0,
+      min: [0, "Reserved quantity cannot be negative"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+VariantSchema.virtual("available").get(function () {
+  return Math.max((this.quantity || 0) - (this.reserved || 0), 0);
+});
+
+VariantSchema.virtual("inStock").get(function () {
+  return this.isActive && this.available > 0;
+});
+
+// Price actually charged for this variant
+VariantSchema.virtual("effectivePrice").get(function () {
+  return this.price !== undefined && this.price !== null ? this.price : this.parent().price;
+});
+
+/**
+ * Stable key of a variant's option combination ("Color=Red|Size=M")
+ */
+const combinationKey = (options) =>
+  [...options.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, value]) => `${name}=${value}`)
+    .join("|");
 
 const ProductSchema = new mongoose.Schema(
   {
@@ -14,20 +134,67 @@ const ProductSchema = new mongoose.Schema(
       type: Number,
       required: [true, "Enter price"],
     },
+    // Main image: the first uploaded image, or a URL hosted elsewhere
     imageUrl:{
         type:String,
-        required:[true, "PLease upload a image"],
     },
+    // Uploaded images in display order
+    images: {
+      type: [ImageSchema],
+      default: undefined,
+    },
+    // Any node of the category tree; renames never touch products
     category:{
-      type:String,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
       required:[true, "PLease enter category"],
+      validate: {
+        // Checked whenever the category is set, on create and update alike
+        validator: async function (categoryId) {
+          if (!this.isNew && !this.isModified("category")) return true;
+          return Boolean(await mongoose.model("Category").exists({ _id: categoryId }));
+        },
+        message: "Category not found",
+      },
     },
-    subcategory:{
-      type:String,
-      required: [true, "Please enter sub category"],
-    },
+    // Units on hand. Changed through the inventory service only, so every
+    // change is recorded as a stock movement
     quantity:{
       type:Number,
+      default: 0,
+      min: [0, "Quantity cannot be negative"],
+    },
+    // Units on hand set aside for pending sales
+    reserved:{
+      type:Number,
+      default: 0,
+      min: [0, "Reserved quantity cannot be negative"],
+    },
+    // Alert once available stock drops to this level
+    lowStockThreshold:{
+      type:Number,
+      default: () => Number.parseInt(process.env.LOW_STOCK_THRESHOLD) || 5,
+      min: [0, "Low stock threshold cannot be negative"],
+    },
+    options: {
+      type: [OptionSchema],
+      default: undefined,
+    },
+    variants: {
+      type: [VariantSchema],
+      default: undefined,
+    },
+    // Approved reviews only; kept in sync by the review service
+    ratingAverage: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 5,
+    },
+    ratingCount: {
+      type: Number,
+      default: 0,
+      min: 0,
     },
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -35,9 +202,108 @@ const ProductSchema = new mongoose.Schema(
       required: true,
     },
   },
-  { timestamps: true }
-  
-
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
 );
 
+// Active variants; products without variants keep their stock on the product
+const activeVariants = (product) => (product.variants || []).filter((variant) => variant.isActive);
+
+// Units that can still be sold (undefined when stock fields were not selected)
+ProductSchema.virtual("available").get(function () {
+  if (this.variants && this.variants.length > 0) {
+    return activeVariants(this).reduce((sum, variant) => sum + variant.available, 0);
+  }
+  if (this.quantity === undefined) return undefined;
+  return Math.max(this.quantity - (this.reserved || 0), 0);
+});
+
+ProductSchema.virtual("inStock").get(function () {
+  if (this.available === undefined) return undefined;
+  return this.available > 0;
+});
+
+// With variants, low as soon as one active variant is low
+ProductSchema.virtual("isLowStock").get(function () {
+  if (this.variants && this.variants.length > 0) {
+    return activeVariants(this).some((variant) => variant.available <= this.lowStockThreshold);
+  }
+  if (this.quantity === undefined) return undefined;
+  return this.available <= this.lowStockThreshold;
+});
+
+// Keep the main image pointing at the first uploaded image
+ProductSchema.pre("save", function (next) {
+  if (this.isModified("images") && this.images && this.images.length > 0) {
+    this.imageUrl = this.images[0].url;
+  }
+  next();
+});
+
+// Variants must use exactly the defined options, and each combination and
+// SKU may only appear once
+ProductSchema.pre("validate", function (next) {
+  if (!this.variants || this.variants.length === 0) return next();
+
+  const definitions = new Map((this.options || []).map((option) => [option.name, option.values]));
+  const combinations = new Set();
+  const skus = new Set();
+
+  this.variants.forEach((variant, index) => {
+    const names = [...variant.options.keys()];
+
+    if (names.length !== definitions.size || names.some((name) => !definitions.has(name))) {
+      this.invalidate(
+        `variants.${index}.options`,
+        `Variant ${variant.sku} must set exactly these options: ${[...definitions.keys()].join(", ")}`
+      );
+      return;
+    }
+
+    for (const [name, value] of variant.options) {
+      if (!definitions.get(name).includes(value)) {
+        this.invalidate(`variants.${index}.options`, `"${value}" is not a valid ${name} (variant ${variant.sku})`);
+      }
+    }
+
+    const key = combinationKey(variant.options);
+    if (combinations.has(key)) {
+      this.invalidate(`variants.${index}.options`, `Another variant already uses ${key.replace(/\|/g, ", ")}`);
+    }
+    combinations.add(key);
+
+    if (skus.has(variant.sku)) {
+      this.invalidate(`variants.${index}.sku`, `SKU ${variant.sku} is used by more than one variant`);
+    }
+    skus.add(variant.sku);
+  });
+
+  next();
+});
+
+// Option names must be unique
+ProductSchema.path("options").validate(function (options) {
+  if (!options) return true;
+  const names = options.map((option) => option.name);
+  return new Set(names).size === names.length;
+}, "Option names must be unique");
+
+// Indexes backing the product list filters and sort orders
+ProductSchema.index({ category: 1, price: 1 });
+ProductSchema.index({ createdAt: -1, _id: -1 });
+ProductSchema.index({ price: 1, _id: 1 });
+ProductSchema.index({ ratingAverage: -1, _id: -1 });
+
+// SKUs are unique across the catalogue
+ProductSchema.index({ "variants.sku": 1 }, { unique: true, sparse: true });
+
+// Deleted products go to the trash and can be restored until purged
+ProductSchema.plugin(softDeletePlugin);
+
+// Record every change in the audit log (rating totals follow the reviews)
+ProductSchema.plugin(auditPlugin, { entity: "Product", ignore: ["ratingAverage", "ratingCount"] });
+
 module.exports = mongoose.model("Product", ProductSchema);
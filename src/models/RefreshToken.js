@@ -0,0 +1,52 @@
+const mongoose = require("mongoose")
+
+/**
+ * Refresh Token Schema Definition
+ * Tracks issued refresh tokens so they can be rotated and revoked.
+ * Tokens issued from the same login share a family; replaying a token
+ * that has already been rotated revokes the whole family.
+ */
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    family: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    replacedBy: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Let MongoDB remove expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+refreshTokenSchema.index({ family: 1 })
+refreshTokenSchema.index({ user: 1 })
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema)
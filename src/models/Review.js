@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+
+// New reviews wait for a moderator when set; otherwise they are published at once
+const REQUIRE_APPROVAL = process.env.REVIEWS_REQUIRE_APPROVAL === "true";
+
+/**
+ * Review Schema Definition
+ * One review per user and product. Only approved reviews are shown publicly
+ * and counted in the product's ratingAverage/ratingCount.
+ */
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: [true, "Rating is required"],
+      min: [1, "Rating must be between 1 and 5"],
+      max: [5, "Rating must be between 1 and 5"],
+      validate: {
+        validator: Number.isInteger,
+        message: "Rating must be a whole number",
+      },
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Max 100 characters allowed"],
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Max 2000 characters allowed"],
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "hidden"],
+      default: () => (REQUIRE_APPROVAL ? "pending" : "approved"),
+    },
+    // Last moderation decision
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    moderatedAt: {
+      type: Date,
+      default: null,
+    },
+    moderationNote: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: -1 });
+
+reviewSchema.statics.REQUIRE_APPROVAL = REQUIRE_APPROVAL;
+
+module.exports = mongoose.model("Review", reviewSchema);
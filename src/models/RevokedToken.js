@@ -0,0 +1,31 @@
+const mongoose = require("mongoose")
+
+/**
+ * Revoked Token Schema Definition
+ * Denylist of access token ids (jti) that were revoked before they expired.
+ * Entries are removed by MongoDB once the token would have expired anyway.
+ */
+const revokedTokenSchema = new mongoose.Schema(
+  {
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model("RevokedToken", revokedTokenSchema)
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose")
+const { PERMISSIONS } = require("../config/permissions")
+
+/**
+ * Role Schema Definition
+ * A named set of permissions assigned to users through User.role
+ */
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Role name is required"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z][a-z0-9_-]*$/, "Role name may only contain lowercase letters, numbers, dashes and underscores"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+    },
+    permissions: {
+      type: [
+        {
+          type: String,
+          enum: { values: PERMISSIONS, message: "Unknown permission: {VALUE}" },
+        },
+      ],
+      default: [],
+    },
+    isSystem: {
+      type: Boolean, // Built-in roles cannot be deleted or renamed
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+module.exports = mongoose.model("Role", roleSchema)
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose")
+
+/**
+ * Session Schema Definition
+ * One document per login (device). The session id doubles as the refresh
+ * token family and is embedded in access tokens as the "sid" claim.
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    impersonatedBy: {
+      type: mongoose.Schema.Types.ObjectId, // Admin acting as the user, kept as audit trail
+      ref: "User",
+    },
+    impersonationReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+sessionSchema.index({ user: 1, revokedAt: 1 })
+
+// Sessions disappear once their refresh token could no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model("Session", sessionSchema)
@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+
+/**
+ * Stock Movement Schema Definition
+ * Append-only ledger of every change to a product's stock
+ */
+const stockMovementSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // Set when the stock belongs to a variant of the product
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // adjust: on-hand quantity changed (restock, correction, shrinkage)
+    // reserve / release: units set aside for / given back from a pending sale
+    // sale: reserved units shipped, leaving the stock on hand
+    type: {
+      type: String,
+      enum: ["adjust", "reserve", "release", "sale"],
+      required: true,
+    },
+    // Signed change applied to quantity (adjust), reserved (reserve/release)
+    // or both (sale)
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Max 200 characters allowed"],
+    },
+    // External reference such as an order id
+    reference: {
+      type: String,
+      trim: true,
+    },
+    // null for changes made by the system
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Stock levels (of the variant, if any) right after the movement
+    quantityAfter: {
+      type: Number,
+      required: true,
+    },
+    reservedAfter: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+
+module.exports = mongoose.model("StockMovement", stockMovementSchema);
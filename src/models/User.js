@@ -1,5 +1,15 @@
 const mongoose = require("mongoose")
 const bcrypt = require("bcryptjs")
+const crypto = require("crypto")
+const softDeletePlugin = require("./plugins/softDelete")
+const auditPlugin = require("./plugins/audit")
+
+/**
+ * Hash a one-time token for storage
+ * @param {string} token - Plain token
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
 
 /**
  * User Schema Definition
@@ -28,8 +38,9 @@ const userSchema = new mongoose.Schema(
       select: false, // Don't include password in queries by default
     },
     role: {
-      type: String,
-      enum: ["user", "admin"],
+      type: String, // Name of a Role document, see config/permissions.js
+      lowercase: true,
+      trim: true,
       default: "user",
     },
     isActive: {
@@ -39,6 +50,63 @@ const userSchema = new mongoose.Schema(
     lastLogin: {
       type: Date,
     },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: {
+      type: Date,
+    },
+    lockoutCount: {
+      type: Number, // Consecutive lockouts, used to grow the lock duration
+      default: 0,
+    },
+    tokensValidAfter: {
+      type: Date, // Tokens issued before this moment are rejected
+    },
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerificationToken: {
+      type: String,
+      select: false, // Stored as a SHA-256 hash, never the plain token
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    mfaEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    mfaSecret: {
+      type: String,
+      select: false,
+    },
+    mfaBackupCodes: {
+      type: [String], // SHA-256 hashes of unused backup codes
+      select: false,
+    },
+    mfaLastUsedStep: {
+      type: Number, // Last accepted TOTP time step, prevents code replay
+      select: false,
+    },
+    passwordResetRequired: {
+      type: Boolean, // Set by an admin; login is refused until the password is reset
+      default: false,
+    },
+    passwordChangedAt: {
+      type: Date,
+    },
+    passwordResetToken: {
+      type: String,
+      select: false, // Stored as a SHA-256 hash, never the plain token
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt fields
@@ -47,6 +115,24 @@ const userSchema = new mongoose.Schema(
   },
 )
 
+// Deleted users stay in the database (and keep their email reserved) until purged
+userSchema.plugin(softDeletePlugin)
+
+// Record every change in the audit log; secrets are logged as changed but never stored
+userSchema.plugin(auditPlugin, {
+  entity: "User",
+  redact: ["password", "passwordResetToken", "emailVerificationToken", "mfaSecret", "mfaBackupCodes"],
+  ignore: [
+    "lastLogin",
+    "failedLoginAttempts",
+    "lockoutCount",
+    "tokensValidAfter",
+    "passwordResetExpires",
+    "emailVerificationExpires",
+    "mfaLastUsedStep",
+  ],
+})
+
 /**
  * Pre-save middleware to hash password before saving
  */
@@ -54,6 +140,11 @@ userSchema.pre("save", async function (next) {
   // Only hash the password if it has been modified (or is new)
   if (!this.isModified("password")) return next()
 
+  // Record when the password changed (not on initial registration)
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date()
+  }
+
   try {
     // Hash password with cost of 12
     const saltRounds = Number.parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12
@@ -74,6 +165,86 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 }
 
 
+/**
+ * Virtual property telling whether the account is currently locked
+ */
+userSchema.virtual("isLocked").get(function () {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now())
+})
+
+/**
+ * Instance method to register a failed login attempt
+ * Locks the account after MAX_LOGIN_ATTEMPTS failures; every further lockout
+ * doubles the lock duration up to a maximum of 24 hours
+ * @returns {Promise<void>}
+ */
+userSchema.methods.registerFailedLogin = async function () {
+  const maxAttempts = Number.parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5
+  const baseLockMinutes = Number.parseInt(process.env.LOCKOUT_BASE_MINUTES) || 15
+  const maxLockMinutes = 24 * 60
+
+  // Increment atomically so parallel guesses cannot slip past the counter
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true },
+  )
+  if (!updated) return
+
+  this.failedLoginAttempts = updated.failedLoginAttempts
+
+  if (updated.failedLoginAttempts >= maxAttempts) {
+    const lockMinutes = Math.min(baseLockMinutes * 2 ** updated.lockoutCount, maxLockMinutes)
+    this.lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000)
+    this.lockoutCount = updated.lockoutCount + 1
+    this.failedLoginAttempts = 0
+
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { lockUntil: this.lockUntil, lockoutCount: this.lockoutCount, failedLoginAttempts: 0 },
+    )
+  }
+}
+
+/**
+ * Instance method to clear failed attempts and any lock
+ */
+userSchema.methods.resetLoginAttempts = function () {
+  this.failedLoginAttempts = 0
+  this.lockoutCount = 0
+  this.lockUntil = undefined
+}
+
+/**
+ * Instance method to create a single-use password reset token
+ * Only the hash is stored; the plain token is returned to be emailed
+ * @returns {string} - Plain reset token
+ */
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = crypto.randomBytes(32).toString("hex")
+  const expiresInMinutes = Number.parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60
+
+  this.passwordResetToken = hashToken(resetToken)
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000)
+
+  return resetToken
+}
+
+/**
+ * Instance method to create an email verification token
+ * Only the hash is stored; the plain token is returned to be emailed
+ * @returns {string} - Plain verification token
+ */
+userSchema.methods.createEmailVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(32).toString("hex")
+  const expiresInHours = Number.parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24
+
+  this.emailVerificationToken = hashToken(verificationToken)
+  this.emailVerificationExpires = new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+
+  return verificationToken
+}
+
 /**
  * Instance method to get user data without sensitive information
  * @returns {Object} - User object without password
@@ -81,10 +252,24 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 userSchema.methods.toSafeObject = function () {
   const userObject = this.toObject()
   delete userObject.password
+  delete userObject.passwordResetToken
+  delete userObject.passwordResetExpires
+  delete userObject.emailVerificationToken
+  delete userObject.emailVerificationExpires
+  delete userObject.mfaSecret
+  delete userObject.mfaBackupCodes
+  delete userObject.mfaLastUsedStep
   return userObject
 }
 
+/**
+ * Static helper to hash a one-time token the same way it was stored
+ */
+userSchema.statics.hashToken = hashToken
+
 // Create indexes for better query performance
 userSchema.index({ createdAt: -1 })
+userSchema.index({ passwordResetToken: 1 }, { sparse: true })
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true })
 
 module.exports = mongoose.model("User", userSchema)
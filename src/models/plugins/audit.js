@@ -0,0 +1,255 @@
+const AuditLog = require("../AuditLog")
+const { getContext } = require("../../utils/requestContext")
+
+const REDACTED = "[REDACTED]"
+const ALWAYS_IGNORED = ["_id", "__v", "createdAt", "updatedAt"]
+
+/**
+ * Convert a document to plain JSON so values compare reliably
+ * @param {Object} doc - Mongoose document or lean object
+ * @returns {Object} - Plain object
+ */
+const toPlain = (doc) => {
+  if (!doc) return null
+  const object = typeof doc.toObject === "function" ? doc.toObject({ depopulate: true, virtuals: false }) : doc
+  return JSON.parse(JSON.stringify(object))
+}
+
+/**
+ * Audit plugin
+ * Writes an AuditLog entry for every create, update and delete of the model,
+ * whether it happens through document.save() or update/delete queries.
+ * updateMany/deleteMany write one summary entry (filter, update, count).
+ * @param {import("mongoose").Schema} schema - Schema to audit
+ * @param {Object} options - Plugin options
+ * @param {string} options.entity - Entity name stored on the log (e.g. "Product")
+ * @param {string[]} [options.redact] - Fields whose changes are logged without values
+ * @param {string[]} [options.ignore] - Fields whose changes are not worth a log entry
+ */
+const auditPlugin = (schema, { entity, redact = [], ignore = [] }) => {
+  const ignored = new Set([...ALWAYS_IGNORED, ...ignore])
+
+  /**
+   * Compute changed top-level fields between two snapshots
+   * @returns {Object|null} - { before, after } of changed fields, or null if nothing relevant changed
+   */
+  const diff = (before, after) => {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})])
+    const changes = { before: {}, after: {} }
+    let changed = false
+
+    for (const key of keys) {
+      if (ignored.has(key)) continue
+
+      const oldValue = before ? before[key] : undefined
+      const newValue = after ? after[key] : undefined
+      if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue
+
+      changed = true
+      const isRedacted = redact.includes(key)
+      if (before) changes.before[key] = isRedacted && oldValue !== undefined ? REDACTED : oldValue
+      if (after) changes.after[key] = isRedacted && newValue !== undefined ? REDACTED : newValue
+    }
+
+    return changed ? changes : null
+  }
+
+  /**
+   * Pick the action for an update, treating soft delete and restore specially
+   */
+  const updateAction = (before, after) => {
+    if (before && after && !before.deletedAt && after.deletedAt) return "delete"
+    if (before && after && before.deletedAt && !after.deletedAt) return "restore"
+    return "update"
+  }
+
+  // Inside a transaction the log is written (and rolled back) with the change
+  const writeLog = async (action, entityId, before, after, session) => {
+    const changes = diff(before, after)
+    if (action === "update" && !changes) return
+
+    const context = getContext()
+
+    try {
+      await AuditLog.create(
+        [
+          {
+            actor: context.userId,
+            impersonatedBy: context.impersonatedBy,
+            action,
+            entity,
+            entityId,
+            changes: changes || {},
+            ip: context.ip,
+            userAgent: context.userAgent,
+            requestId: context.requestId,
+          },
+        ],
+        { session },
+      )
+    } catch (error) {
+      // Auditing must never break the request that triggered it
+      console.error(`Failed to write audit log for ${entity} ${entityId}:`, error.message)
+    }
+  }
+
+  /**
+   * Copy a query filter or update, hiding the values of redacted fields
+   * (top level or inside operators such as $set)
+   */
+  const redactQuery = (object) => {
+    const plain = toPlain(object) || {}
+    for (const [key, value] of Object.entries(plain)) {
+      if (redact.includes(key)) plain[key] = REDACTED
+      else if (key.startsWith("$") && value && typeof value === "object" && !Array.isArray(value)) {
+        for (const field of Object.keys(value)) {
+          if (redact.includes(field)) value[field] = REDACTED
+        }
+      }
+    }
+    return plain
+  }
+
+  /**
+   * Fields an update writes, whether set directly or through operators
+   */
+  const updatedFields = (update = {}) =>
+    Object.entries(update).flatMap(([key, value]) => (key.startsWith("$") ? Object.keys(value || {}) : [key]))
+
+  /**
+   * Pick the action for a bulk update, treating soft delete and restore specially
+   */
+  const bulkUpdateAction = (update = {}) => {
+    const set = { ...update, ...update.$set }
+    if (!schema.path("deletedAt") || !("deletedAt" in set)) return "update"
+    return set.deletedAt ? "delete" : "restore"
+  }
+
+  /**
+   * Write one entry summing up a bulk operation
+   */
+  const writeBulkLog = async (action, query, count, update) => {
+    const context = getContext()
+
+    try {
+      await AuditLog.create(
+        [
+          {
+            actor: context.userId,
+            impersonatedBy: context.impersonatedBy,
+            action,
+            entity,
+            bulk: {
+              filter: redactQuery(query.getFilter()),
+              update: update && redactQuery(update),
+              count,
+            },
+            ip: context.ip,
+            userAgent: context.userAgent,
+            requestId: context.requestId,
+          },
+        ],
+        { session: query.getOptions().session || null },
+      )
+    } catch (error) {
+      // Auditing must never break the request that triggered it
+      console.error(`Failed to write audit log for ${entity} bulk ${query.op}:`, error.message)
+    }
+  }
+
+  /**
+   * Find the document a single-document query is about to touch, including
+   * a soft deleted one
+   */
+  const findAffected = (query) => {
+    const lookup = query.model.find(query.getFilter()).session(query.getOptions().session || null).lean()
+
+    const { sort } = query.getOptions()
+    if (sort) lookup.sort(sort)
+    lookup.limit(1)
+
+    return schema.path("deletedAt") ? lookup.setOptions({ withDeleted: true }) : lookup
+  }
+
+  // Remember the loaded state so save() can log what changed
+  schema.post("init", function () {
+    this.$locals.auditSnapshot = toPlain(this)
+  })
+
+  schema.pre("save", function () {
+    this.$locals.auditWasNew = this.isNew
+  })
+
+  schema.post("save", async function (doc) {
+    const after = toPlain(doc)
+
+    if (doc.$locals.auditWasNew) {
+      await writeLog("create", doc._id, null, after, doc.$session())
+    } else {
+      const before = doc.$locals.auditSnapshot
+      await writeLog(updateAction(before, after), doc._id, before, after, doc.$session())
+    }
+
+    doc.$locals.auditSnapshot = after
+  })
+
+  schema.pre(["updateOne", "findOneAndUpdate"], async function () {
+    this._auditBefore = await findAffected(this)
+  })
+
+  schema.post(["updateOne", "findOneAndUpdate"], async function () {
+    const before = this._auditBefore || []
+    if (before.length === 0) return
+
+    const session = this.getOptions().session || null
+    const afterQuery = this.model.find({ _id: { $in: before.map((doc) => doc._id) } }).session(session).lean()
+    const after = await (schema.path("deletedAt") ? afterQuery.setOptions({ withDeleted: true }) : afterQuery)
+    const afterById = new Map(after.map((doc) => [doc._id.toString(), doc]))
+
+    for (const doc of before) {
+      const beforePlain = toPlain(doc)
+      const afterPlain = toPlain(afterById.get(doc._id.toString()))
+      await writeLog(updateAction(beforePlain, afterPlain), doc._id, beforePlain, afterPlain, session)
+    }
+  })
+
+  // Also covers document.deleteOne(), which runs a deleteOne query by _id
+  schema.pre(["deleteOne", "findOneAndDelete"], async function () {
+    this._auditBefore = await findAffected(this)
+  })
+
+  schema.post(["deleteOne", "findOneAndDelete"], async function () {
+    for (const doc of this._auditBefore || []) {
+      const beforePlain = toPlain(doc)
+      // Removing an already soft deleted document is a purge of the trash
+      await writeLog(beforePlain.deletedAt ? "purge" : "delete", doc._id, beforePlain, null, this.getOptions().session)
+    }
+  })
+
+  // Bulk operations can touch any number of documents, so they are logged
+  // as one summary entry instead of loading and logging each document
+  schema.post("updateMany", async function (result) {
+    const update = this.getUpdate()
+    if (!result || result.modifiedCount === 0) return
+    if (updatedFields(update).every((field) => ignored.has(field))) return
+
+    await writeBulkLog(bulkUpdateAction(update), this, result.modifiedCount, update)
+  })
+
+  schema.pre("deleteMany", async function () {
+    if (!schema.path("deletedAt")) return
+    this._auditLiveCount = await this.model
+      .countDocuments({ $and: [this.getFilter(), { deletedAt: null }] })
+      .session(this.getOptions().session || null)
+      .setOptions({ withDeleted: true })
+  })
+
+  schema.post("deleteMany", async function (result) {
+    if (!result || result.deletedCount === 0) return
+
+    // Removing only documents that were already in the trash is a purge
+    await writeBulkLog(this._auditLiveCount === 0 ? "purge" : "delete", this, result.deletedCount)
+  })
+}
+
+module.exports = auditPlugin
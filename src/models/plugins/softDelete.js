@@ -0,0 +1,89 @@
+const mongoose = require("mongoose")
+
+const QUERY_METHODS = [
+  "countDocuments",
+  "find",
+  "findOne",
+  "findOneAndDelete",
+  "findOneAndReplace",
+  "findOneAndUpdate",
+  "updateMany",
+  "updateOne",
+  "deleteMany",
+  "deleteOne",
+]
+
+/**
+ * Soft delete plugin
+ * Adds deletedAt/deletedBy and hides deleted documents from every query and
+ * aggregation unless the query opts in:
+ *   Model.find().withDeleted()  - deleted and live documents
+ *   Model.find().onlyDeleted()  - deleted documents only (the "trash")
+ * For aggregations use .option({ withDeleted: true }).
+ * @param {mongoose.Schema} schema - Schema to extend
+ */
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  })
+
+  schema.index({ deletedAt: 1 })
+
+  schema.query.withDeleted = function () {
+    return this.setOptions({ withDeleted: true })
+  }
+
+  schema.query.onlyDeleted = function () {
+    return this.setOptions({ withDeleted: true }).where({ deletedAt: { $ne: null } })
+  }
+
+  schema.pre(QUERY_METHODS, function () {
+    const { withDeleted } = this.getOptions()
+    delete this.options.withDeleted
+
+    if (!withDeleted) {
+      this.where({ deletedAt: null })
+    }
+  })
+
+  schema.pre("aggregate", function () {
+    const { withDeleted } = this.options
+    delete this.options.withDeleted
+
+    if (!withDeleted) {
+      this.pipeline().unshift({ $match: { deletedAt: null } })
+    }
+  })
+
+  /**
+   * Instance method to move the document to the trash
+   * @param {string} [userId] - User performing the deletion
+   * @param {Date} [deletedAt] - Deletion time, shared by cascaded deletes
+   * @returns {Promise<Object>} - Saved document
+   */
+  schema.methods.softDelete = async function (userId, deletedAt = new Date()) {
+    this.deletedAt = deletedAt
+    this.deletedBy = userId || null
+    return await this.save({ validateBeforeSave: false })
+  }
+
+  /**
+   * Instance method to restore the document from the trash
+   * @returns {Promise<Object>} - Saved document
+   */
+  schema.methods.restore = async function () {
+    this.deletedAt = null
+    this.deletedBy = null
+    return await this.save({ validateBeforeSave: false })
+  }
+}
+
+module.exports = softDeletePlugin
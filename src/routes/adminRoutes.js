@@ -0,0 +1,32 @@
+const express = require("express")
+const { getAuditLogs } = require("../controllers/auditController")
+const { getAllOrders, updateOrderStatus } = require("../controllers/orderController")
+const { getAllReviews } = require("../controllers/reviewController")
+const { protect, authorize } = require("../middlewares/auth")
+const { validate, auditValidation, orderValidation, reviewValidation } = require("../middlewares/validation")
+const Order = require("../models/Order")
+
+const router = express.Router()
+
+// Loads the order targeted by :id for status changes
+const loadOrder = (req) => Order.findById(req.params.id)
+
+/**
+ * All admin routes require authentication
+ */
+router.use(protect)
+
+router.get("/audit", authorize("audit:read"), validate(auditValidation.list, "query"), getAuditLogs)
+
+router.get("/orders", authorize("order:read"), validate(orderValidation.list, "query"), getAllOrders)
+router.patch(
+  "/orders/:id/status",
+  validate(orderValidation.idParam, "params"),
+  authorize("order:update", loadOrder),
+  validate(orderValidation.updateStatus),
+  updateOrderStatus,
+)
+
+router.get("/reviews", authorize("review:moderate"), validate(reviewValidation.list, "query"), getAllReviews)
+
+module.exports = router
@@ -55,6 +55,15 @@ router.get("/docs", (req, res) => {
               password: "string (required)",
             },
           },
+          {
+            method: "POST",
+            path: "/api/v1/users/refresh",
+            description: "Rotate refresh token and get a new access token",
+            requiresAuth: false,
+            body: {
+              refreshToken: "string (required)",
+            },
+          },
         ],
         users: [
           {
@@ -83,7 +92,8 @@ router.get("/docs", (req, res) => {
             queryParams: {
               page: "number (optional, default: 1)",
               limit: "number (optional, default: 10)",
-              category: "string (optional)",
+              category: "category id (optional, includes subcategories)",
+              inStock: "boolean (optional)",
               search: "string (optional)",
             },
           },
@@ -96,8 +106,9 @@ router.get("/docs", (req, res) => {
               name: "string (required)",
               description: "string (required)",
               price: "number (required)",
-              category: "string (required)",
-              inStock: "boolean (optional, default: true)",
+              category: "category id (required)",
+              quantity: "number (optional, opening stock, default: 0)",
+              lowStockThreshold: "number (optional, default: 5)",
             },
           },
         ],
@@ -0,0 +1,31 @@
+// routes/cartRoutes.js
+const express = require("express");
+const router = express.Router();
+const {
+  getCart,
+  addItem,
+  updateItem,
+  removeItem,
+  clearCart,
+  refreshCart,
+  applyCoupon,
+  removeCoupon,
+} = require("../controllers/cartController");
+const { optionalAuth } = require("../middlewares/auth");
+const { validate, cartValidation } = require("../middlewares/validation");
+
+const validateItemId = validate(cartValidation.itemParam, "params");
+
+// Signed-in users get their own cart; guests identify theirs with X-Cart-Token
+router.use(optionalAuth);
+
+router.get("/", getCart);
+router.delete("/", clearCart);
+router.post("/refresh", refreshCart);
+router.post("/coupon", validate(cartValidation.applyCoupon), applyCoupon);
+router.delete("/coupon", removeCoupon);
+router.post("/items", validate(cartValidation.addItem), addItem);
+router.patch("/items/:itemId", validateItemId, validate(cartValidation.updateItem), updateItem);
+router.delete("/items/:itemId", validateItemId, removeItem);
+
+module.exports = router;
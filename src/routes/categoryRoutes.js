@@ -1,10 +1,29 @@
 // routes/categoryRoutes.js
 const express = require("express");
 const router = express.Router();
-const { createCategory, getAllCategories } = require("../controllers/categoryController");
-const { protect } = require("../middlewares/auth");
+const {
+  createCategory,
+  getAllCategories,
+  getCategoryTree,
+  getCategory,
+  updateCategory,
+  moveCategory,
+  deleteCategory,
+} = require("../controllers/categoryController");
+const { protect, authorize } = require("../middlewares/auth");
+const { validate, categoryValidation } = require("../middlewares/validation");
 
-router.post("/", protect, createCategory); // Admin only if needed
-router.get("/", getAllCategories); // Public
+const validateCategoryId = validate(categoryValidation.idParam, "params");
 
-module.exports = router;
\ No newline at end of file
+// Public Routes ("/tree" is declared before "/:idOrSlug")
+router.get("/", getAllCategories);
+router.get("/tree", getCategoryTree);
+router.get("/:idOrSlug", getCategory);
+
+// Admin Routes (category:* permissions are only granted to admins by default)
+router.post("/", protect, authorize("category:create"), validate(categoryValidation.create), createCategory);
+router.patch("/:id", protect, authorize("category:update"), validateCategoryId, validate(categoryValidation.update), updateCategory); // Rename / reorder
+router.patch("/:id/move", protect, authorize("category:update"), validateCategoryId, validate(categoryValidation.move), moveCategory); // Change parent
+router.delete("/:id", protect, authorize("category:delete"), validateCategoryId, deleteCategory);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+// routes/couponRoutes.js
+const express = require("express");
+const router = express.Router();
+const {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+} = require("../controllers/couponController");
+const { protect, authorize } = require("../middlewares/auth");
+const { validate, couponValidation } = require("../middlewares/validation");
+
+const validateCouponId = validate(couponValidation.idParam, "params");
+
+// Admin Routes (shoppers apply codes through /api/v1/cart/coupon)
+router.use(protect, authorize("coupon:manage"));
+
+router.get("/", validate(couponValidation.list, "query"), getCoupons);
+router.post("/", validate(couponValidation.create), createCoupon);
+router.get("/:id", validateCouponId, getCoupon);
+router.patch("/:id", validateCouponId, validate(couponValidation.update), updateCoupon);
+router.delete("/:id", validateCouponId, deleteCoupon);
+
+module.exports = router;
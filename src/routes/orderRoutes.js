@@ -0,0 +1,25 @@
+// routes/orderRoutes.js
+const express = require("express");
+const router = express.Router();
+const {
+  checkout,
+  getMyOrders,
+  getOrder,
+  cancelOrder,
+} = require("../controllers/orderController");
+const { payOrder } = require("../controllers/paymentController");
+const { protect } = require("../middlewares/auth");
+const { validate, orderValidation } = require("../middlewares/validation");
+
+const validateOrderId = validate(orderValidation.idParam, "params");
+
+// Buyers manage their own orders; admin endpoints live under /api/v1/admin/orders
+router.use(protect);
+
+router.post("/", validate(orderValidation.checkout), checkout); // Checkout the cart
+router.get("/", validate(orderValidation.list, "query"), getMyOrders);
+router.get("/:id", validateOrderId, getOrder);
+router.post("/:id/cancel", validateOrderId, cancelOrder); // Unpaid orders only
+router.post("/:id/pay", validateOrderId, validate(orderValidation.pay), payOrder);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+// routes/paymentRoutes.js
+const express = require("express");
+const router = express.Router();
+const { handleWebhook } = require("../controllers/paymentController");
+
+// Called by the payment provider; authenticated by its signature, not a user
+router.post("/webhook", handleWebhook);
+
+module.exports = router;
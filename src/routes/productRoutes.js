@@ -5,19 +5,65 @@ const {
   getProductById,
   updateProduct,
   deleteProduct,
+  getDeletedProducts,
+  restoreProduct,
+  addProductImages,
+  reorderProductImages,
+  deleteProductImage,
+  getStock,
+  adjustProductStock,
+  reserveProductStock,
+  releaseProductStock,
+  getLowStockProducts,
 } = require("../controllers/productController");
 
-const { protect } = require("../middlewares/auth");
+const { protect, authorize, requireVerified, optionalAuth } = require("../middlewares/auth");
+const { validate, productValidation } = require("../middlewares/validation");
+const { uploadImages } = require("../middlewares/upload");
+const { getProductByIdService } = require("../services/productService");
+const variantRoutes = require("./variantRoutes");
+const reviewRoutes = require("./reviewRoutes");
+const AppError = require("../utils/appError");
 
 const router = express.Router();
 
+// Loads the product targeted by :id so ownership can be checked
+const loadProduct = async (req) => {
+  const product = await getProductByIdService(req.params.id);
+  if (!product) throw new AppError("Product not found", 404);
+  return product;
+};
+
+// Admin Routes (declared before /:id so "trash" and "low-stock" are not taken for an id)
+router.get("/trash", protect, authorize("product:delete"), getDeletedProducts); // Deleted products
+router.patch("/:id/restore", protect, authorize("product:delete"), restoreProduct); // Restore from trash
+router.get("/low-stock", protect, getLowStockProducts); // Own products, or all with product:update:any
+
 // Public Routes
-router.get("/", getAllProducts);           // GET all products
-router.get("/:id", getProductById);        // GET single product by ID
+// (optionalAuth so signed-in readers can expand what their role allows)
+router.get("/", optionalAuth, validate(productValidation.list, "query"), getAllProducts); // GET products (paginated, filterable)
+router.get("/:id", optionalAuth, validate(productValidation.show, "query"), getProductById); // GET single product by ID
+
+// Protected Routes (authenticated users with the matching permission)
+router.post("/", protect, requireVerified, authorize("product:create"), createProduct); // Create a product (verified accounts only)
+router.put("/:id", protect, authorize("product:update", loadProduct), updateProduct); // Update product (own or any)
+router.delete("/:id", protect, authorize("product:delete", loadProduct), deleteProduct); // Delete product (own or any)
+
+// Image Routes (same ownership rules as updating the product)
+router.post("/:id/images", protect, authorize("product:update", loadProduct), uploadImages("images"), addProductImages); // Upload images (multipart)
+router.put("/:id/images/order", protect, authorize("product:update", loadProduct), validate(productValidation.reorderImages), reorderProductImages); // Reorder images
+router.delete("/:id/images/:imageId", protect, authorize("product:update", loadProduct), deleteProductImage); // Delete an image
+
+// Stock Routes (same ownership rules as updating the product)
+router.get("/:id/stock", protect, authorize("product:update", loadProduct), getStock); // Stock levels and movements
+router.post("/:id/stock/adjust", protect, authorize("product:update", loadProduct), validate(productValidation.adjustStock), adjustProductStock); // Restock / write off
+router.post("/:id/stock/reserve", protect, authorize("product:update", loadProduct), validate(productValidation.changeReservation), reserveProductStock); // Reserve units
+router.post("/:id/stock/release", protect, authorize("product:update", loadProduct), validate(productValidation.changeReservation), releaseProductStock); // Release reserved units
+
+// Variant Routes
+router.use("/:id/variants", variantRoutes);
 
-// Protected Routes (authenticated users only)
-router.post("/", protect, createProduct);  // Create a product
-router.put("/:id", protect, updateProduct); // Update product
-router.delete("/:id", protect, deleteProduct); // Delete product
+// Review Routes
+router.use("/:id/reviews", reviewRoutes);
 
 module.exports = router;
\ No newline at end of file
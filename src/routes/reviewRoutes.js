@@ -0,0 +1,32 @@
+const express = require("express");
+const {
+  getProductReviews,
+  getReview,
+  createReview,
+  updateReview,
+  deleteReview,
+  moderateReview,
+} = require("../controllers/reviewController");
+
+const { protect, authorize, requireVerified, optionalAuth } = require("../middlewares/auth");
+const { validate, reviewValidation } = require("../middlewares/validation");
+
+// Mounted at /api/v1/products/:id/reviews
+const router = express.Router({ mergeParams: true });
+
+const validateProductId = validate(reviewValidation.productParam, "params");
+const validateReviewId = validate(reviewValidation.params, "params");
+
+// Public Routes (optionalAuth so authors and moderators also see unapproved reviews)
+router.get("/", optionalAuth, validateProductId, validate(reviewValidation.list, "query"), getProductReviews);
+router.get("/:reviewId", optionalAuth, validateReviewId, getReview);
+
+// Protected Routes (authors manage their own review)
+router.post("/", protect, requireVerified, validateProductId, validate(reviewValidation.create), createReview);
+router.patch("/:reviewId", protect, validateReviewId, validate(reviewValidation.update), updateReview);
+router.delete("/:reviewId", protect, validateReviewId, deleteReview);
+
+// Moderation
+router.patch("/:reviewId/status", protect, authorize("review:moderate"), validateReviewId, validate(reviewValidation.moderate), moderateReview);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require("express")
+const { getAllRoles, getRole, createRole, updateRole, deleteRole } = require("../controllers/roleController")
+const { protect, authorize } = require("../middlewares/auth")
+const { validate, roleValidation } = require("../middlewares/validation")
+
+const router = express.Router()
+
+/**
+ * All role management routes require the role:manage permission
+ */
+router.use(protect, authorize("role:manage"))
+
+router.get("/", getAllRoles)
+router.post("/", validate(roleValidation.create), createRole)
+router.get("/:name", getRole)
+router.put("/:name", validate(roleValidation.update), updateRole)
+router.delete("/:name", deleteRole)
+
+module.exports = router
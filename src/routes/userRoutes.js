@@ -2,13 +2,41 @@ const express = require("express")
 const {
   registerUser,
   loginUser,
+  verifyLoginMfa,
+  startLoginMfaSetup,
+  refreshToken,
+  verifyEmail,
+  resendVerificationEmail,
   getUserProfile,
   updateUserProfile,
+  getLoginHistory,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  regenerateBackupCodes,
+  getSessions,
+  revokeSession,
+  createApiKey,
+  getApiKeys,
+  revokeApiKey,
   getAllUsers,
   deleteUser,
+  getDeletedUsers,
+  restoreUser,
+  getUserById,
+  activateUser,
+  deactivateUser,
+  unlockUser,
+  forcePasswordReset,
+  impersonateUser,
+  changeUserRole,
   logoutUser,
+  logoutAllDevices,
 } = require("../controllers/userController")
-const { protect, restrictTo } = require("../middlewares/auth")
+const { protect, authorize, requireSession, denyImpersonation } = require("../middlewares/auth")
 const { validate, userValidation } = require("../middlewares/validation")
 
 const router = express.Router()
@@ -18,21 +46,70 @@ const router = express.Router()
  */
 router.post("/register", validate(userValidation.register), registerUser)
 router.post("/login", validate(userValidation.login), loginUser)
+router.post("/login/mfa", validate(userValidation.verifyLoginMfa), verifyLoginMfa)
+router.post("/login/mfa/setup", validate(userValidation.startLoginMfaSetup), startLoginMfaSetup)
+router.post("/refresh", validate(userValidation.refreshToken), refreshToken)
+router.post("/forgot-password", validate(userValidation.forgotPassword), forgotPassword)
+router.post("/reset-password/:token", validate(userValidation.resetPassword), resetPassword)
+router.get("/verify-email/:token", verifyEmail)
 
 /**
  * Protected Routes (require authentication)
  */
 router.use(protect) // All routes after this middleware require authentication
 
-router.post("/logout", logoutUser)
+// Account self-service is only available to logged in people, not API keys
+router.use(
+  ["/logout", "/logout-all", "/verify-email", "/profile", "/password", "/mfa", "/sessions", "/api-keys"],
+  requireSession,
+)
+
+// Credentials and devices can only be managed by the account owner themselves
+router.use(["/logout-all", "/password", "/mfa", "/sessions", "/api-keys"], denyImpersonation)
+
+// The email is where password resets go, so an impersonator must not change it
+const denyEmailChange = (req, res, next) => (req.body.email !== undefined ? denyImpersonation(req, res, next) : next())
+
+router.post("/logout", validate(userValidation.logout), logoutUser)
+router.post("/logout-all", logoutAllDevices)
+router.post("/verify-email/resend", resendVerificationEmail)
 router.get("/profile", getUserProfile)
-router.put("/profile", validate(userValidation.updateProfile), updateUserProfile)
+router.put("/profile", denyEmailChange, validate(userValidation.updateProfile), updateUserProfile)
+router.get("/profile/login-history", getLoginHistory)
+router.put("/password", validate(userValidation.changePassword), changePassword)
+router.post("/mfa/setup", setupMfa)
+router.post("/mfa/enable", validate(userValidation.mfaCode), enableMfa)
+router.post("/mfa/disable", validate(userValidation.disableMfa), disableMfa)
+router.post("/mfa/backup-codes", validate(userValidation.mfaCode), regenerateBackupCodes)
+router.get("/sessions", getSessions)
+router.delete("/sessions/:id", revokeSession)
+router.post("/api-keys", validate(userValidation.createApiKey), createApiKey)
+router.get("/api-keys", getApiKeys)
+router.delete("/api-keys/:id", revokeApiKey)
 
 
 /**
- * Admin Only Routes
+ * Admin Routes (permission based)
  */
-router.get("/", restrictTo("admin"), getAllUsers)
-router.delete("/:id", restrictTo("admin"), deleteUser)
+const validateUserId = validate(userValidation.userIdParam, "params")
+
+router.get("/", authorize("user:read"), validate(userValidation.listUsers, "query"), getAllUsers)
+router.get("/trash", authorize("user:delete"), validate(userValidation.listUsers, "query"), getDeletedUsers)
+router.get("/:id", authorize("user:read"), validateUserId, validate(userValidation.getUser, "query"), getUserById)
+router.delete("/:id", authorize("user:delete"), validateUserId, deleteUser)
+router.patch("/:id/restore", authorize("user:delete"), validateUserId, restoreUser)
+router.patch("/:id/activate", authorize("user:update"), validateUserId, activateUser)
+router.patch("/:id/deactivate", authorize("user:update"), validateUserId, deactivateUser)
+router.patch("/:id/unlock", authorize("user:update"), validateUserId, unlockUser)
+router.post("/:id/force-password-reset", authorize("user:update"), validateUserId, forcePasswordReset)
+router.post(
+  "/:id/impersonate",
+  denyImpersonation, // No nested impersonation
+  authorize("user:impersonate"),
+  validateUserId,
+  validate(userValidation.impersonate),
+  impersonateUser,
+)
+router.put("/:id/role", authorize("role:manage"), validateUserId, validate(userValidation.changeRole), changeUserRole)
 
 module.exports = router
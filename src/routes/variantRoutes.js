@@ -0,0 +1,49 @@
+const express = require("express");
+const {
+  getVariants,
+  getVariant,
+  createVariant,
+  updateVariant,
+  deleteVariant,
+} = require("../controllers/variantController");
+const {
+  getStock,
+  adjustProductStock,
+  reserveProductStock,
+  releaseProductStock,
+} = require("../controllers/productController");
+
+const { protect, authorize, optionalAuth } = require("../middlewares/auth");
+const { validate, productValidation, variantValidation } = require("../middlewares/validation");
+const { getProductByIdService } = require("../services/productService");
+const AppError = require("../utils/appError");
+
+// Mounted at /api/v1/products/:id/variants
+const router = express.Router({ mergeParams: true });
+
+// Loads the product targeted by :id so ownership can be checked
+const loadProduct = async (req) => {
+  const product = await getProductByIdService(req.params.id);
+  if (!product) throw new AppError("Product not found", 404);
+  return product;
+};
+
+const canManage = [protect, authorize("product:update", loadProduct)];
+const validateVariantId = validate(variantValidation.params, "params");
+
+// Public Routes (optionalAuth so managers also see inactive variants)
+router.get("/", optionalAuth, getVariants);
+router.get("/:variantId", optionalAuth, validateVariantId, getVariant);
+
+// Protected Routes (same ownership rules as updating the product)
+router.post("/", canManage, validate(variantValidation.create), createVariant);
+router.patch("/:variantId", canManage, validateVariantId, validate(variantValidation.update), updateVariant);
+router.delete("/:variantId", canManage, validateVariantId, deleteVariant);
+
+// Variant Stock Routes
+router.get("/:variantId/stock", canManage, validateVariantId, getStock);
+router.post("/:variantId/stock/adjust", canManage, validateVariantId, validate(productValidation.adjustStock), adjustProductStock);
+router.post("/:variantId/stock/reserve", canManage, validateVariantId, validate(productValidation.changeReservation), reserveProductStock);
+router.post("/:variantId/stock/release", canManage, validateVariantId, validate(productValidation.changeReservation), releaseProductStock);
+
+module.exports = router;
@@ -152,19 +152,63 @@ require("dotenv").config()
 
 const connectDB = require("./config/db")
 const { errorHandler, notFound } = require("./middlewares/errorHandler")
+const requestContext = require("./middlewares/requestContext")
 
 // Route imports
 const userRoutes = require("./routes/userRoutes")
 const productRoutes = require("./routes/productRoutes")
 const apiTesterRoute = require("./routes/apiTesterRoutes")
 const categoryRoutes = require("./routes/categoryRoutes");
+const cartRoutes = require("./routes/cartRoutes");
+const orderRoutes = require("./routes/orderRoutes");
+const paymentRoutes = require("./routes/paymentRoutes");
+const couponRoutes = require("./routes/couponRoutes");
+const roleRoutes = require("./routes/roleRoutes")
+const adminRoutes = require("./routes/adminRoutes")
+const roleService = require("./services/roleService")
+const userService = require("./services/userService")
+const { migrateLegacyCategories, migrateProductCategories } = require("./services/categoryService")
+const { backfillProductRatings } = require("./services/reviewService")
+const { schedulePurgeDeleted } = require("./jobs/purgeDeleted")
 
 
 // Connect to database
 connectDB()
 
+// Make sure the built-in roles exist (queued until the connection is ready)
+roleService.ensureDefaultRoles().catch((error) => {
+  console.error("Failed to create default roles:", error.message)
+})
+
+// Accounts registered before email verification existed count as verified
+userService.backfillEmailVerification().catch((error) => {
+  console.error("Failed to backfill email verification:", error.message)
+})
+
+// Convert categories stored in the old flat shape into tree nodes, then
+// point products at them by id
+migrateLegacyCategories()
+  .then(migrateProductCategories)
+  .catch((error) => {
+    console.error("Failed to migrate categories:", error.message)
+  })
+
+// Products created before reviews existed start with empty rating totals
+backfillProductRatings().catch((error) => {
+  console.error("Failed to initialise product ratings:", error.message)
+})
+
+// Permanently remove users and products that stayed in the trash too long
+schedulePurgeDeleted()
+
 const app = express()
 
+/**
+ * Request Context Middleware
+ * Assigns a request id and tracks the acting user for audit logging
+ */
+app.use(requestContext)
+
 /**
  * Security Middleware
  */
@@ -191,6 +235,7 @@ app.use(
   cors({
     origin: process.env.CLIENT_URL || "http://localhost:3000",
     credentials: true,
+    exposedHeaders: ["X-Cart-Token"], // Guest carts
   }),
 )
 
@@ -206,21 +251,33 @@ const limiter = rateLimit({
 app.use("/api/", limiter)
 
 // Stricter rate limiting for auth routes
+// Kept loose enough for offices behind a shared IP; targeted guessing is
+// handled by the per-account lockout in UserService.loginUser
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // limit each IP to 5 requests per windowMs
+  max: Number.parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 30, // limit each IP to 30 requests per windowMs
   message: {
     success: false,
     message: "Too many authentication attempts, please try again later.",
   },
 })
-app.use("/api/v1/users/login", authLimiter)
+app.use("/api/v1/users/login", authLimiter) // Also covers /login/mfa
 app.use("/api/v1/users/register", authLimiter)
+app.use("/api/v1/users/forgot-password", authLimiter)
+app.use("/api/v1/users/reset-password", authLimiter)
 
 /**
  * Body Parser Middleware
  */
-app.use(express.json({ limit: "10mb" }))
+app.use(
+  express.json({
+    limit: "10mb",
+    // Payment webhooks are signed over the exact bytes received
+    verify: (req, res, buffer) => {
+      if (req.originalUrl.startsWith("/api/v1/payments/webhook")) req.rawBody = buffer
+    },
+  }),
+)
 app.use(express.urlencoded({ extended: true, limit: "10mb" }))
 
 /**
@@ -228,6 +285,16 @@ app.use(express.urlencoded({ extended: true, limit: "10mb" }))
  */
 app.use(express.static(path.join(__dirname, "../public")))
 
+// Uploaded images (local disk storage). Served with a cross-origin resource
+// policy so client apps on other origins can display them.
+app.use(
+  process.env.UPLOAD_URL_PATH || "/uploads",
+  express.static(process.env.UPLOAD_DIR || path.join(__dirname, "../uploads"), {
+    index: false,
+    setHeaders: (res) => res.set("Cross-Origin-Resource-Policy", "cross-origin"),
+  }),
+)
+
 /**
  * Logging Middleware
  */
@@ -280,6 +347,12 @@ app.use("/api-tester", apiTesterRoute)
 app.use("/api/v1/users", userRoutes)
 app.use("/api/v1/products", productRoutes)
 app.use("/api/v1/categories", categoryRoutes);
+app.use("/api/v1/cart", cartRoutes);
+app.use("/api/v1/orders", orderRoutes);
+app.use("/api/v1/payments", paymentRoutes);
+app.use("/api/v1/coupons", couponRoutes);
+app.use("/api/v1/roles", roleRoutes)
+app.use("/api/v1/admin", adminRoutes)
 
 // API documentation route (placeholder)
 app.get("/api/v1", (req, res) => {
@@ -291,20 +364,75 @@ app.get("/api/v1", (req, res) => {
     endpoints: {
       users: {
         base: "/api/v1/users",
-        public: ["POST /api/v1/users/register", "POST /api/v1/users/login"],
-        protected: ["GET /api/v1/users/profile", "PUT /api/v1/users/profile", "POST /api/v1/users/logout"],
-        admin: ["GET /api/v1/users", "DELETE /api/v1/users/:id"],
+        public: ["POST /api/v1/users/register", "POST /api/v1/users/login", "POST /api/v1/users/login/mfa", "POST /api/v1/users/login/mfa/setup", "POST /api/v1/users/refresh", "POST /api/v1/users/forgot-password", "POST /api/v1/users/reset-password/:token", "GET /api/v1/users/verify-email/:token"],
+        protected: ["GET /api/v1/users/profile", "PUT /api/v1/users/profile", "GET /api/v1/users/profile/login-history", "PUT /api/v1/users/password", "POST /api/v1/users/mfa/setup", "POST /api/v1/users/mfa/enable", "POST /api/v1/users/mfa/disable", "POST /api/v1/users/mfa/backup-codes", "GET /api/v1/users/sessions", "DELETE /api/v1/users/sessions/:id", "POST /api/v1/users/api-keys", "GET /api/v1/users/api-keys", "DELETE /api/v1/users/api-keys/:id", "POST /api/v1/users/logout", "POST /api/v1/users/logout-all", "POST /api/v1/users/verify-email/resend"],
+        admin: [
+          "GET /api/v1/users",
+          "GET /api/v1/users/:id",
+          "DELETE /api/v1/users/:id",
+          "GET /api/v1/users/trash",
+          "PATCH /api/v1/users/:id/restore",
+          "PUT /api/v1/users/:id/role",
+          "PATCH /api/v1/users/:id/activate",
+          "PATCH /api/v1/users/:id/deactivate",
+          "PATCH /api/v1/users/:id/unlock",
+          "POST /api/v1/users/:id/force-password-reset",
+          "POST /api/v1/users/:id/impersonate",
+        ],
       },
       products: {
         base: "/api/v1/products",
-        public: ["GET /api/v1/products", "GET /api/v1/products/:id"],
-        protected: ["POST /api/v1/products", "PUT /api/v1/products/:id", "DELETE /api/v1/products/:id"],
+        public: ["GET /api/v1/products?page=&limit=&cursor=&sort=&fields=&expand=user&search=&price[gte]=&price[lte]=&category=&inStock=&minRating=", "GET /api/v1/products/:id", "GET /api/v1/products/:id/variants", "GET /api/v1/products/:id/variants/:variantId"],
+        protected: ["POST /api/v1/products (verified email)", "PUT /api/v1/products/:id", "DELETE /api/v1/products/:id", "GET /api/v1/products/low-stock", "GET /api/v1/products/:id/stock", "POST /api/v1/products/:id/stock/adjust", "POST /api/v1/products/:id/stock/reserve", "POST /api/v1/products/:id/stock/release", "POST /api/v1/products/:id/images (multipart, field images)", "PUT /api/v1/products/:id/images/order", "DELETE /api/v1/products/:id/images/:imageId", "POST /api/v1/products/:id/variants", "PATCH /api/v1/products/:id/variants/:variantId", "DELETE /api/v1/products/:id/variants/:variantId", "GET /api/v1/products/:id/variants/:variantId/stock", "POST /api/v1/products/:id/variants/:variantId/stock/adjust", "POST /api/v1/products/:id/variants/:variantId/stock/reserve", "POST /api/v1/products/:id/variants/:variantId/stock/release"],
+        admin: ["GET /api/v1/products/trash", "PATCH /api/v1/products/:id/restore"],
+      },
+      categories: {
+        base: "/api/v1/categories",
+        public: ["GET /api/v1/categories", "GET /api/v1/categories/tree", "GET /api/v1/categories/:idOrSlug"],
+        admin: ["POST /api/v1/categories", "PATCH /api/v1/categories/:id", "PATCH /api/v1/categories/:id/move", "DELETE /api/v1/categories/:id"],
+      },
+      cart: {
+        base: "/api/v1/cart",
+        public: ["GET /api/v1/cart", "POST /api/v1/cart/items", "PATCH /api/v1/cart/items/:itemId", "DELETE /api/v1/cart/items/:itemId", "DELETE /api/v1/cart", "POST /api/v1/cart/refresh", "POST /api/v1/cart/coupon", "DELETE /api/v1/cart/coupon"],
+      },
+      orders: {
+        base: "/api/v1/orders",
+        protected: ["POST /api/v1/orders (checkout the cart)", "GET /api/v1/orders?page=&limit=&sort=&status=", "GET /api/v1/orders/:id", "POST /api/v1/orders/:id/cancel", "POST /api/v1/orders/:id/pay"],
+        admin: ["GET /api/v1/admin/orders?status=&user=&createdAt[gte]=", "PATCH /api/v1/admin/orders/:id/status"],
+      },
+      reviews: {
+        base: "/api/v1/products/:id/reviews",
+        public: ["GET /api/v1/products/:id/reviews?page=&limit=&sort=-rating&rating=", "GET /api/v1/products/:id/reviews/:reviewId"],
+        protected: ["POST /api/v1/products/:id/reviews (verified email, one per product)", "PATCH /api/v1/products/:id/reviews/:reviewId (author)", "DELETE /api/v1/products/:id/reviews/:reviewId (author)"],
+        admin: ["GET /api/v1/admin/reviews?status=pending", "PATCH /api/v1/products/:id/reviews/:reviewId/status"],
+      },
+      coupons: {
+        base: "/api/v1/coupons",
+        admin: ["GET /api/v1/coupons", "POST /api/v1/coupons", "GET /api/v1/coupons/:id", "PATCH /api/v1/coupons/:id", "DELETE /api/v1/coupons/:id"],
+      },
+      payments: {
+        base: "/api/v1/payments",
+        public: ["POST /api/v1/payments/webhook (signed by the payment provider)"],
+      },
+      roles: {
+        base: "/api/v1/roles",
+        admin: ["GET /api/v1/roles", "POST /api/v1/roles", "GET /api/v1/roles/:name", "PUT /api/v1/roles/:name", "DELETE /api/v1/roles/:name"],
+      },
+      audit: {
+        base: "/api/v1/admin/audit",
+        admin: ["GET /api/v1/admin/audit?actor=&entity=&entityId=&action=&from=&to="],
       },
       system: ["GET /health", "GET /api/v1"],
     },
+    authentication: {
+      bearer: "Authorization: Bearer <access token>",
+      apiKey: "X-API-Key: <key> (limited to the key's scopes)",
+      guestCart: "X-Cart-Token: <token> (returned when a guest adds the first item; merged into the user's cart on login)",
+    },
     rateLimit: {
       general: "100 requests per 15 minutes",
-      auth: "5 requests per 15 minutes",
+      auth: `${Number.parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 30} requests per 15 minutes`,
+      accountLockout: `${Number.parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5} failed logins lock the account`,
     },
   })
 })
@@ -0,0 +1,104 @@
+const crypto = require("crypto")
+const ApiKey = require("../models/ApiKey")
+const User = require("../models/User")
+const roleService = require("./roleService")
+const AppError = require("../utils/appError")
+
+const KEY_PREFIX = "nrk"
+
+/**
+ * API Key Service Layer
+ * Creates, lists, revokes and authenticates scoped API keys
+ */
+class ApiKeyService {
+  /**
+   * Create an API key for a user
+   * Scopes must be a subset of the permissions the user's role currently grants
+   * @param {Object} user - Key owner
+   * @param {Object} keyData - Name, scopes and optional expiry
+   * @returns {Promise<Object>} - Stored key and the plain key (shown once)
+   */
+  async createApiKey(user, keyData) {
+    const { name, scopes, expiresAt } = keyData
+
+    const granted = await roleService.getPermissions(user.role)
+    const notGranted = scopes.filter((scope) => !granted.has(scope))
+    if (notGranted.length > 0) {
+      throw new AppError(`You cannot grant scopes you do not have: ${notGranted.join(", ")}`, 403)
+    }
+
+    const prefix = crypto.randomBytes(4).toString("hex")
+    const secret = crypto.randomBytes(24).toString("base64url")
+    const plainKey = `${KEY_PREFIX}_${prefix}_${secret}`
+
+    const apiKey = await ApiKey.create({
+      name,
+      prefix,
+      keyHash: User.hashToken(plainKey),
+      user: user._id,
+      scopes,
+      expiresAt,
+    })
+
+    return {
+      apiKey: apiKey.toSafeObject(),
+      key: plainKey,
+    }
+  }
+
+  /**
+   * List API keys of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - API keys (without hashes)
+   */
+  async getApiKeys(userId) {
+    return await ApiKey.find({ user: userId }).sort("-createdAt")
+  }
+
+  /**
+   * Revoke an API key owned by a user
+   * @param {string} userId - User ID
+   * @param {string} keyId - API key ID
+   * @returns {Promise<Object>} - Revoked key
+   */
+  async revokeApiKey(userId, keyId) {
+    const apiKey = await ApiKey.findOne({ _id: keyId, user: userId })
+
+    if (!apiKey) {
+      throw new AppError("API key not found", 404)
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date()
+      await apiKey.save()
+    }
+
+    return apiKey
+  }
+
+  /**
+   * Resolve a plain API key presented in a request
+   * @param {string} plainKey - Value of the X-API-Key header
+   * @param {string} [ip] - Client IP, recorded as last use
+   * @returns {Promise<Object|null>} - Active key document, or null if unusable
+   */
+  async authenticate(plainKey, ip) {
+    const [keyPrefix, prefix] = String(plainKey).split("_")
+    if (keyPrefix !== KEY_PREFIX || !prefix) return null
+
+    const apiKey = await ApiKey.findOne({ prefix }).select("+keyHash")
+    if (!apiKey || !apiKey.isActive) return null
+
+    const expected = Buffer.from(apiKey.keyHash)
+    const actual = Buffer.from(User.hashToken(plainKey))
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null
+    }
+
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: ip })
+
+    return apiKey
+  }
+}
+
+module.exports = new ApiKeyService()
@@ -0,0 +1,51 @@
+const AuditLog = require("../models/AuditLog")
+
+/**
+ * Audit Service Layer
+ * Read access to the audit log (entries are written by the audit model plugin)
+ */
+class AuditService {
+  /**
+   * Get audit log entries
+   * @param {Object} options - Filters (actor, entity, entityId, action, from, to) and pagination (page, limit)
+   * @returns {Promise<Object>} - Audit log entries with pagination
+   */
+  async getAuditLogs(options = {}) {
+    const { actor, entity, entityId, action, from, to, page = 1, limit = 20 } = options
+
+    const query = {}
+    if (actor) query.actor = actor
+    if (entity) query.entity = entity
+    if (entityId) query.entityId = entityId
+    if (action) query.action = action
+    if (from || to) {
+      query.createdAt = {}
+      if (from) query.createdAt.$gte = new Date(from)
+      if (to) query.createdAt.$lte = new Date(to)
+    }
+
+    const skip = (page - 1) * limit
+
+    const logs = await AuditLog.find(query)
+      .sort("-createdAt")
+      .skip(skip)
+      .limit(Number.parseInt(limit))
+      .populate({ path: "actor", select: "name email", options: { withDeleted: true } })
+      .populate({ path: "impersonatedBy", select: "name email", options: { withDeleted: true } })
+
+    const total = await AuditLog.countDocuments(query)
+
+    return {
+      logs,
+      pagination: {
+        currentPage: Number.parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalLogs: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1,
+      },
+    }
+  }
+}
+
+module.exports = new AuditService()
@@ -0,0 +1,411 @@
+const mongoose = require("mongoose");
+const Cart = require("../models/Cart");
+const Product = require("../models/Product");
+const AppError = require("../utils/appError");
+const { evaluateCouponService } = require("./couponService");
+
+const roundPrice = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Find the cart of a user or of a guest cart token
+ * @param {Object} owner - { user, token }; user wins when both are set
+ * @param {Object} [options] - { create } creates a missing cart
+ * @returns {Promise<{ cart: (Object|null), token: (string|undefined) }>} - token is only set for a new guest cart
+ */
+const findCart = async ({ user, token }, { create = false } = {}) => {
+  if (user) {
+    let cart = await Cart.findOne({ user });
+    if (!cart && create) cart = await Cart.create({ user });
+    return { cart };
+  }
+
+  const cart = token ? await Cart.findOne({ tokenHash: Cart.hashToken(token) }) : null;
+  if (cart || !create) return { cart };
+
+  // Unknown or expired token: start over with a new guest cart
+  return await Cart.createGuestCart();
+};
+
+/**
+ * Load what a cart line points at and check it can still be sold
+ * @param {(Object|undefined)} product - Product (undefined when deleted)
+ * @param {(string|null)} variantId - Variant ID
+ * @returns {Object} - { product, variant, name, sku, price, available } or { error }
+ */
+const inspectSellable = (product, variantId) => {
+  if (!product) return { error: "Product is no longer available" };
+
+  const hasVariants = Boolean(product.variants && product.variants.length > 0);
+  if (!variantId) {
+    if (hasVariants) return { error: "Choose a variant of this product" };
+    return { product, name: product.name, price: product.price, available: product.available || 0 };
+  }
+
+  const variant = hasVariants ? product.variants.id(variantId) : null;
+  if (!variant || !variant.isActive) return { error: "Variant is no longer available" };
+
+  return {
+    product,
+    variant,
+    name: product.name,
+    sku: variant.sku,
+    price: variant.effectivePrice,
+    available: variant.available,
+  };
+};
+
+/**
+ * Load a product (and variant) for a change to the cart, failing loudly
+ */
+const loadSellable = async (productId, variantId) => {
+  const product = mongoose.isValidObjectId(productId) ? await Product.findById(productId) : null;
+  if (!product) throw new AppError("Product not found", 404);
+
+  const sellable = inspectSellable(product, variantId);
+  if (sellable.error) throw new AppError(sellable.error, 400);
+  return sellable;
+};
+
+/**
+ * Load the products of some cart lines, keyed by id (deleted products are left out)
+ */
+const loadProducts = async (items) => {
+  const products = await Product.find({ _id: { $in: items.map((item) => item.product) } });
+  return new Map(products.map((product) => [product._id.toString(), product]));
+};
+
+// Refuse a quantity larger than what can still be sold
+const assertInStock = (sellable, quantity) => {
+  if (quantity > sellable.available) {
+    throw new AppError(
+      sellable.available > 0 ? `Only ${sellable.available} unit(s) available` : "Out of stock",
+      409
+    );
+  }
+};
+
+// Snapshot the current name, SKU and price onto a line
+const snapshot = (item, sellable) => {
+  item.name = sellable.name;
+  item.sku = sellable.sku;
+  item.unitPrice = sellable.price;
+};
+
+/**
+ * Price a coupon code against the lines that can be bought
+ * @returns {Promise<Object>} - { code, valid, discount, reason }
+ */
+const priceCoupon = async (code, items, subtotal, userId) => {
+  const result = await evaluateCouponService(code, {
+    lines: items.filter((item) => item.lineTotal > 0),
+    subtotal,
+    userId,
+  });
+
+  return { code: result.code, valid: result.valid, discount: result.discount, reason: result.reason };
+};
+
+/**
+ * Re-validate every line against the current catalogue
+ * Lines keep their snapshot price; currentPrice and issues tell the client
+ * what changed since it was taken.
+ * @param {(Object|null)} cart - Cart document
+ * @returns {Promise<Object>} - Cart with checked lines and totals
+ */
+const describeCart = async (cart) => {
+  if (!cart) {
+    return { items: [], itemCount: 0, subtotal: 0, coupon: null, discount: 0, total: 0, hasIssues: false };
+  }
+
+  const products = await loadProducts(cart.items);
+
+  const items = cart.items.map((item) => {
+    const sellable = inspectSellable(products.get(item.product.toString()), item.variant);
+    const issues = [];
+
+    if (sellable.error) {
+      issues.push({ code: "unavailable", message: sellable.error });
+    } else {
+      if (sellable.price !== item.unitPrice) {
+        issues.push({
+          code: "price_changed",
+          message: `Price changed from ${item.unitPrice} to ${sellable.price}`,
+        });
+      }
+      if (item.quantity > sellable.available) {
+        issues.push({
+          code: "insufficient_stock",
+          message: sellable.available > 0 ? `Only ${sellable.available} unit(s) available` : "Out of stock",
+        });
+      }
+    }
+
+    const currentPrice = sellable.error ? null : sellable.price;
+
+    return {
+      _id: item._id,
+      product: item.product,
+      variant: item.variant,
+      name: item.name,
+      sku: item.sku,
+      imageUrl: sellable.error
+        ? undefined
+        : (sellable.variant && sellable.variant.imageUrl) || sellable.product.imageUrl,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      currentPrice,
+      available: sellable.error ? 0 : sellable.available,
+      lineTotal: currentPrice === null ? 0 : roundPrice(currentPrice * item.quantity),
+      issues,
+    };
+  });
+
+  // What the cart costs at today's prices, unavailable lines excluded
+  const subtotal = roundPrice(items.reduce((sum, item) => sum + item.lineTotal, 0));
+  const coupon = cart.couponCode ? await priceCoupon(cart.couponCode, items, subtotal, cart.user) : null;
+  const discount = coupon && coupon.valid ? coupon.discount : 0;
+
+  return {
+    _id: cart._id,
+    items,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal,
+    coupon,
+    discount,
+    total: roundPrice(subtotal - discount),
+    hasIssues: items.some((item) => item.issues.length > 0),
+    updatedAt: cart.updatedAt,
+  };
+};
+
+/**
+ * Get the cart of a user or guest
+ * @param {Object} owner - { user, token }
+ */
+const getCartService = async (owner) => {
+  const { cart } = await findCart(owner);
+  return await describeCart(cart);
+};
+
+/**
+ * Add a product (or variant) to the cart, or add to the quantity of its line
+ * @param {Object} owner - { user, token }
+ * @param {Object} data - { product, variant, quantity }
+ * @returns {Promise<{ cart: Object, token: (string|undefined) }>} - token is set when a guest cart was created
+ */
+const addItemService = async (owner, { product: productId, variant: variantId, quantity = 1 }) => {
+  const sellable = await loadSellable(productId, variantId);
+  const { cart, token } = await findCart(owner, { create: true });
+
+  quantity = Number.parseInt(quantity);
+  const item = cart.findItem(sellable.product._id, variantId);
+  const total = item ? item.quantity + quantity : quantity;
+  assertInStock(sellable, total);
+
+  if (item) {
+    item.quantity = total;
+    snapshot(item, sellable);
+  } else {
+    cart.items.push({ product: sellable.product._id, variant: variantId || null, quantity });
+    snapshot(cart.items[cart.items.length - 1], sellable);
+  }
+
+  cart.touch();
+  await cart.save();
+
+  return { cart: await describeCart(cart), token };
+};
+
+/**
+ * Change the quantity of a line; the price snapshot is refreshed too
+ * @param {Object} owner - { user, token }
+ * @param {string} itemId - Cart line ID
+ * @param {Object} data - { quantity }
+ */
+const updateItemService = async (owner, itemId, { quantity }) => {
+  const { cart } = await findCart(owner);
+  const item = cart && cart.items.id(itemId);
+  if (!item) throw new AppError("Cart item not found", 404);
+
+  const sellable = await loadSellable(item.product, item.variant);
+  quantity = Number.parseInt(quantity);
+  assertInStock(sellable, quantity);
+
+  item.quantity = quantity;
+  snapshot(item, sellable);
+
+  cart.touch();
+  await cart.save();
+
+  return await describeCart(cart);
+};
+
+/**
+ * Remove a line from the cart
+ * @param {Object} owner - { user, token }
+ * @param {string} itemId - Cart line ID
+ */
+const removeItemService = async (owner, itemId) => {
+  const { cart } = await findCart(owner);
+  const item = cart && cart.items.id(itemId);
+  if (!item) throw new AppError("Cart item not found", 404);
+
+  item.deleteOne();
+  cart.touch();
+  await cart.save();
+
+  return await describeCart(cart);
+};
+
+/**
+ * Empty the cart
+ * @param {Object} owner - { user, token }
+ */
+const clearCartService = async (owner) => {
+  const { cart } = await findCart(owner);
+  if (!cart) return await describeCart(null);
+
+  cart.items = [];
+  cart.touch();
+  await cart.save();
+
+  return await describeCart(cart);
+};
+
+/**
+ * Apply a coupon code to the cart
+ * Rejected codes are not saved; the reason is returned as the error message.
+ * @param {Object} owner - { user, token }
+ * @param {string} code - Coupon code
+ */
+const applyCouponService = async (owner, code) => {
+  const { cart } = await findCart(owner);
+  if (!cart || cart.items.length === 0) throw new AppError("Your cart is empty", 400);
+
+  const previous = cart.couponCode;
+  cart.couponCode = code;
+  const view = await describeCart(cart);
+
+  if (!view.coupon.valid) {
+    cart.couponCode = previous;
+    throw new AppError(view.coupon.reason.message, 400);
+  }
+
+  cart.touch();
+  await cart.save();
+
+  return view;
+};
+
+/**
+ * Remove the coupon from the cart
+ * @param {Object} owner - { user, token }
+ */
+const removeCouponService = async (owner) => {
+  const { cart } = await findCart(owner);
+  if (!cart) return await describeCart(null);
+
+  cart.couponCode = null;
+  cart.touch();
+  await cart.save();
+
+  return await describeCart(cart);
+};
+
+/**
+ * Accept the current catalogue: take new price snapshots, cut quantities down
+ * to what is available and drop lines (and a coupon) that can no longer be used
+ * @param {Object} owner - { user, token }
+ * @returns {Promise<Object>} - Cart plus the list of changes made
+ */
+const refreshCartService = async (owner) => {
+  const { cart } = await findCart(owner);
+  if (!cart) return { ...(await describeCart(null)), changes: [] };
+
+  const products = await loadProducts(cart.items);
+  const changes = [];
+
+  for (const item of [...cart.items]) {
+    const sellable = inspectSellable(products.get(item.product.toString()), item.variant);
+
+    if (sellable.error || sellable.available === 0) {
+      changes.push({ item: item._id, name: item.name, change: "removed", reason: sellable.error || "Out of stock" });
+      item.deleteOne();
+      continue;
+    }
+    if (item.quantity > sellable.available) {
+      changes.push({ item: item._id, name: item.name, change: "quantity", from: item.quantity, to: sellable.available });
+      item.quantity = sellable.available;
+    }
+    if (item.unitPrice !== sellable.price) {
+      changes.push({ item: item._id, name: item.name, change: "price", from: item.unitPrice, to: sellable.price });
+    }
+    snapshot(item, sellable);
+  }
+
+  // A coupon the updated cart no longer qualifies for is dropped too
+  let view = await describeCart(cart);
+  if (view.coupon && !view.coupon.valid) {
+    changes.push({ change: "coupon", code: view.coupon.code, reason: view.coupon.reason.message });
+    cart.couponCode = null;
+    view = await describeCart(cart);
+  }
+
+  cart.touch();
+  await cart.save();
+
+  return { ...view, changes };
+};
+
+/**
+ * Move a guest cart into a user's cart (called on login)
+ * Quantities of lines in both carts are added up, capped at the stock
+ * available; lines that can no longer be bought are dropped. The guest cart
+ * is deleted afterwards.
+ * @param {string} userId - User ID
+ * @param {string} token - Guest cart token
+ * @returns {Promise<(Object|null)>} - The merged cart, or null if there was no guest cart
+ */
+const mergeGuestCartService = async (userId, token) => {
+  const { cart: guestCart } = await findCart({ token });
+  if (!guestCart) return null;
+
+  const { cart } = await findCart({ user: userId }, { create: true });
+
+  const products = await loadProducts(guestCart.items);
+
+  for (const guestItem of guestCart.items) {
+    const sellable = inspectSellable(products.get(guestItem.product.toString()), guestItem.variant);
+    if (sellable.error || sellable.available === 0) continue;
+
+    const item = cart.findItem(guestItem.product, guestItem.variant);
+    const quantity = Math.min((item ? item.quantity : 0) + guestItem.quantity, sellable.available);
+
+    if (item) {
+      item.quantity = quantity;
+      snapshot(item, sellable);
+    } else {
+      cart.items.push({ product: guestItem.product, variant: guestItem.variant, quantity });
+      snapshot(cart.items[cart.items.length - 1], sellable);
+    }
+  }
+
+  if (!cart.couponCode) cart.couponCode = guestCart.couponCode;
+
+  await cart.save();
+  await guestCart.deleteOne();
+
+  return await describeCart(cart);
+};
+
+module.exports = {
+  getCartService,
+  addItemService,
+  updateItemService,
+  removeItemService,
+  clearCartService,
+  refreshCartService,
+  applyCouponService,
+  removeCouponService,
+  mergeGuestCartService,
+};
@@ -0,0 +1,344 @@
+const mongoose = require("mongoose");
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+const AppError = require("../utils/appError");
+const { toSortObject } = require("../utils/pagination");
+const { parseListQuery, resolveExpand } = require("../utils/queryParser");
+
+// What the category list may be filtered, sorted and shaped by
+const CATEGORY_QUERY = {
+  filters: {
+    name: "string",
+    slug: "string",
+    parent: "objectId",
+    ancestors: "objectId",
+  },
+  sortable: ["name", "order", "createdAt"],
+  selectable: ["name", "slug", "parent", "ancestors", "order", "createdAt", "updatedAt"],
+  defaultSort: "order,name",
+  expand: {
+    parent: { select: "name slug" },
+  },
+};
+
+/**
+ * Find a category by id or slug
+ */
+const findCategory = (idOrSlug) =>
+  mongoose.Types.ObjectId.isValid(idOrSlug)
+    ? Category.findById(idOrSlug)
+    : Category.findOne({ slug: String(idOrSlug).toLowerCase() });
+
+/**
+ * Reject a name that is already used by a sibling
+ */
+const assertUniqueAmongSiblings = async (name, parent, excludeId) => {
+  const exists = await Category.exists({
+    name,
+    parent: parent || null,
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  });
+
+  if (exists) {
+    throw new AppError(`A category named "${name}" already exists here`, 409);
+  }
+};
+
+/**
+ * Reject a slug that is already taken
+ */
+const assertSlugAvailable = async (slug, excludeId) => {
+  const exists = await Category.exists({
+    slug: slug.toLowerCase(),
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  });
+
+  if (exists) {
+    throw new AppError(`Slug "${slug}" is already in use`, 409);
+  }
+};
+
+/**
+ * Load a parent category, or null for the top level
+ */
+const loadParent = async (parentId) => {
+  if (!parentId) return null;
+
+  const parent = await Category.findById(parentId);
+  if (!parent) throw new AppError("Parent category not found", 404);
+  return parent;
+};
+
+/**
+ * Count products filed directly under each category
+ */
+const countProductsByCategory = async () => {
+  const groups = await Product.aggregate([
+    { $group: { _id: "$category", count: { $sum: 1 } } },
+  ]);
+
+  return new Map(groups.map(({ _id, count }) => [String(_id), count]));
+};
+
+/**
+ * Get categories as a flat list
+ * @param {Object} query - List query (see CATEGORY_QUERY for what it accepts)
+ */
+const getAllCategoriesService = async (query = {}) => {
+  const { filter, sortFields, select, expand } = parseListQuery(query, CATEGORY_QUERY);
+  const populate = await resolveExpand(expand, CATEGORY_QUERY.expand, async () => false);
+
+  const categoriesQuery = Category.find(filter)
+    .select(select && [select, ...expand].join(" "))
+    .sort(toSortObject(sortFields));
+  populate.forEach((options) => categoriesQuery.populate(options));
+
+  return await categoriesQuery;
+};
+
+/**
+ * Get the whole category tree, siblings ordered by order then name
+ * Every node carries productCount (its own products) and totalProductCount
+ * (its own plus all descendants')
+ */
+const getCategoryTreeService = async () => {
+  const categories = await Category.find()
+    .select("name slug parent order")
+    .sort({ order: 1, name: 1 })
+    .lean();
+
+  const counts = await countProductsByCategory();
+
+  const nodes = new Map(
+    categories.map((category) => [
+      String(category._id),
+      {
+        ...category,
+        productCount: counts.get(String(category._id)) || 0,
+        totalProductCount: 0,
+        children: [],
+      },
+    ])
+  );
+
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parent && nodes.get(String(node.parent));
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  });
+
+  const sumProducts = (node) => {
+    node.totalProductCount =
+      node.productCount + node.children.reduce((sum, child) => sum + sumProducts(child), 0);
+    return node.totalProductCount;
+  };
+  roots.forEach(sumProducts);
+
+  return roots;
+};
+
+/**
+ * Get a single category by id or slug, with its path from the root
+ */
+const getCategoryService = async (idOrSlug) => {
+  const category = await findCategory(idOrSlug).populate("ancestors", "name slug");
+  if (!category) throw new AppError("Category not found", 404);
+  return category;
+};
+
+/**
+ * Create a category, optionally below a parent
+ */
+const createCategoryService = async ({ name, slug, parent: parentId, order }) => {
+  const parent = await loadParent(parentId);
+
+  await assertUniqueAmongSiblings(name, parent && parent._id);
+  if (slug) await assertSlugAvailable(slug);
+
+  return await Category.create({
+    name,
+    slug,
+    parent: parent ? parent._id : null,
+    ancestors: parent ? [...parent.ancestors, parent._id] : [],
+    order,
+  });
+};
+
+/**
+ * Rename a category, change its slug or its position among siblings
+ */
+const updateCategoryService = async (id, { name, slug, order }) => {
+  const category = await Category.findById(id);
+  if (!category) throw new AppError("Category not found", 404);
+
+  if (name !== undefined && name !== category.name) {
+    await assertUniqueAmongSiblings(name, category.parent, category._id);
+    category.name = name;
+  }
+
+  if (slug !== undefined) {
+    await assertSlugAvailable(slug, category._id);
+    category.slug = slug;
+  }
+
+  if (order !== undefined) category.order = order;
+
+  await category.save();
+  return category;
+};
+
+/**
+ * Move a category (and its subtree) below another parent, or to the top level
+ */
+const moveCategoryService = async (id, { parent: parentId, order }) => {
+  const category = await Category.findById(id);
+  if (!category) throw new AppError("Category not found", 404);
+
+  const parent = await loadParent(parentId);
+
+  if (
+    parent &&
+    (parent._id.equals(category._id) ||
+      parent.ancestors.some((ancestor) => ancestor.equals(category._id)))
+  ) {
+    throw new AppError("A category cannot be moved below itself", 400);
+  }
+
+  await assertUniqueAmongSiblings(category.name, parent && parent._id, category._id);
+
+  const oldPathLength = category.ancestors.length + 1;
+
+  category.parent = parent ? parent._id : null;
+  category.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+  if (order !== undefined) category.order = order;
+  await category.save();
+
+  // Rewrite the path prefix of every descendant; saved one by one so each
+  // change shows up in the audit log
+  const newPath = [...category.ancestors, category._id];
+  const descendants = await Category.find({ ancestors: category._id });
+
+  for (const descendant of descendants) {
+    descendant.ancestors = [...newPath, ...descendant.ancestors.slice(oldPathLength)];
+    await descendant.save();
+  }
+
+  return category;
+};
+
+/**
+ * Delete a category that has no subcategories and no products
+ */
+const deleteCategoryService = async (id) => {
+  const category = await Category.findById(id);
+  if (!category) throw new AppError("Category not found", 404);
+
+  const hasChildren = await Category.exists({ parent: category._id });
+  if (hasChildren) {
+    throw new AppError("Category has subcategories. Move or delete them first.", 409);
+  }
+
+  // Trashed products count too, they could not be restored otherwise
+  const productCount = await Product.countDocuments({ category: category._id }).withDeleted();
+  if (productCount > 0) {
+    throw new AppError(
+      `Category has ${productCount} product(s). Move them to another category first.`,
+      409
+    );
+  }
+
+  await category.deleteOne();
+  return category;
+};
+
+/**
+ * Convert categories from the old flat shape ({ name, subcategories: [String] })
+ * into tree nodes with one child per subcategory. Safe to run on every startup.
+ */
+const migrateLegacyCategories = async () => {
+  // Names used to be unique across all categories; now only among siblings
+  const indexes = await Category.collection.indexes().catch(() => []);
+  if (indexes.some((index) => index.name === "name_1")) {
+    await Category.collection.dropIndex("name_1");
+  }
+
+  const legacy = await Category.collection
+    .find({ subcategories: { $exists: true } })
+    .toArray();
+
+  for (const raw of legacy) {
+    const category = await Category.findById(raw._id);
+
+    if (!category.slug) {
+      category.ancestors = [];
+      await category.save();
+    }
+
+    for (const [index, name] of (raw.subcategories || []).entries()) {
+      const exists = await Category.exists({ name, parent: category._id });
+      if (!exists) {
+        await Category.create({
+          name,
+          parent: category._id,
+          ancestors: [category._id],
+          order: index,
+        });
+      }
+    }
+
+    await Category.collection.updateOne({ _id: raw._id }, { $unset: { subcategories: "" } });
+  }
+};
+
+/**
+ * Point products that still store category/subcategory names at the matching
+ * tree node by id. Products whose names match no category are left as they
+ * are and reported. Safe to run on every startup.
+ */
+const migrateProductCategories = async () => {
+  const legacy = await Product.collection
+    .find({ category: { $type: "string" } })
+    .project({ category: 1, subcategory: 1 })
+    .toArray();
+
+  let unresolved = 0;
+
+  for (const raw of legacy) {
+    const category =
+      (await Category.findOne({ name: raw.category, parent: null })) ||
+      (await Category.findOne({ name: raw.category }));
+
+    const subcategory =
+      category && raw.subcategory
+        ? await Category.findOne({ name: raw.subcategory, parent: category._id })
+        : null;
+
+    const target = subcategory || category;
+    if (!target) {
+      unresolved++;
+      continue;
+    }
+
+    await Product.collection.updateOne(
+      { _id: raw._id },
+      { $set: { category: target._id }, $unset: { subcategory: "" } }
+    );
+  }
+
+  if (unresolved > 0) {
+    console.warn(`${unresolved} product(s) reference unknown categories and were not migrated`);
+  }
+};
+
+module.exports = {
+  getAllCategoriesService,
+  getCategoryTreeService,
+  getCategoryService,
+  createCategoryService,
+  updateCategoryService,
+  moveCategoryService,
+  deleteCategoryService,
+  migrateLegacyCategories,
+  migrateProductCategories,
+};
@@ -0,0 +1,305 @@
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+const AppError = require("../utils/appError");
+const { toSortObject } = require("../utils/pagination");
+const { parseListQuery } = require("../utils/queryParser");
+
+// What the coupon list may be filtered, sorted and shaped by
+const COUPON_QUERY = {
+  filters: {
+    code: "string",
+    type: "string",
+    isActive: "boolean",
+    startsAt: "date",
+    endsAt: "date",
+    createdAt: "date",
+  },
+  sortable: ["code", "createdAt", "startsAt", "endsAt", "usedCount"],
+  selectable: ["code", "description", "type", "value", "minOrderValue", "startsAt", "endsAt", "usageLimit", "perUserLimit", "usedCount", "products", "categories", "isActive", "createdAt", "updatedAt"],
+  defaultSort: "-createdAt",
+};
+
+const EDITABLE_FIELDS = ["code", "description", "type", "value", "minOrderValue", "startsAt", "endsAt", "usageLimit", "perUserLimit", "products", "categories", "isActive"];
+
+const roundPrice = (amount) => Math.round(amount * 100) / 100;
+
+const reject = (code, message) => ({ valid: false, discount: 0, reason: { code, message } });
+
+/**
+ * Whether a line counts towards a coupon's discount
+ * @param {Object} coupon - Coupon
+ * @param {Object} line - { product, categories } where categories holds the
+ *   product's category and all of its ancestors
+ */
+const isEligible = (coupon, line) => {
+  const products = coupon.products || [];
+  const categories = coupon.categories || [];
+  if (products.length === 0 && categories.length === 0) return true;
+
+  return (
+    products.some((id) => String(id) === String(line.product)) ||
+    categories.some((id) => (line.categories || []).some((category) => String(category) === String(id)))
+  );
+};
+
+/**
+ * Work out what a coupon takes off a set of lines
+ * Pure: everything it needs is passed in, so the same rules price a cart,
+ * an order at checkout or a preview.
+ * @param {(Object|null)} coupon - Coupon, or null if the code does not exist
+ * @param {Object} context - What is being priced
+ * @param {Object[]} context.lines - { product, categories, lineTotal }
+ * @param {number} context.subtotal - Subtotal of all lines
+ * @param {string} [context.userId] - Buyer; guests have none
+ * @param {number} [context.userRedemptions] - Times the buyer already used the coupon
+ * @param {Date} [context.now] - Time to check the validity window against
+ * @returns {{ valid: boolean, discount: number, eligibleSubtotal: number, reason: ({ code, message }|undefined) }}
+ */
+const applyCoupon = (coupon, { lines, subtotal, userId, userRedemptions = 0, now = new Date() }) => {
+  if (!coupon) return reject("not_found", "Coupon code not found");
+  if (!coupon.isActive) return reject("inactive", "This coupon is no longer active");
+
+  if (coupon.startsAt && now < coupon.startsAt) {
+    return reject("not_started", `This coupon can be used from ${coupon.startsAt.toISOString().slice(0, 10)}`);
+  }
+  if (coupon.endsAt && now > coupon.endsAt) {
+    return reject("expired", "This coupon has expired");
+  }
+
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    return reject("usage_limit_reached", "This coupon has been fully redeemed");
+  }
+  if (coupon.perUserLimit !== null) {
+    if (!userId) return reject("login_required", "Log in to use this coupon");
+    if (userRedemptions >= coupon.perUserLimit) {
+      return reject("user_limit_reached", "You have already used this coupon the maximum number of times");
+    }
+  }
+
+  if (subtotal < coupon.minOrderValue) {
+    return reject("min_order_value", `Spend at least ${coupon.minOrderValue} to use this coupon`);
+  }
+
+  const eligibleSubtotal = roundPrice(
+    lines.filter((line) => isEligible(coupon, line)).reduce((sum, line) => sum + line.lineTotal, 0)
+  );
+  if (eligibleSubtotal === 0) {
+    return reject("not_applicable", "This coupon does not apply to any item in your cart");
+  }
+
+  const discount =
+    coupon.type === "percent"
+      ? roundPrice((eligibleSubtotal * coupon.value) / 100)
+      : Math.min(coupon.value, eligibleSubtotal);
+
+  return { valid: true, discount, eligibleSubtotal };
+};
+
+/**
+ * Add each line's category path (category and ancestors), which category
+ * restrictions are matched against
+ * @param {Object[]} lines - { product, lineTotal }
+ */
+const withCategories = async (lines) => {
+  const products = await Product.find({ _id: { $in: lines.map((line) => line.product) } })
+    .select("category")
+    .withDeleted();
+  const categoryIds = products.map((product) => product.category).filter(Boolean);
+  const categories = await Category.find({ _id: { $in: categoryIds } }).select("ancestors");
+
+  const paths = new Map(
+    categories.map((category) => [String(category._id), [category._id, ...category.ancestors]])
+  );
+  const productPaths = new Map(
+    products.map((product) => [String(product._id), paths.get(String(product.category)) || []])
+  );
+
+  return lines.map((line) => ({ ...line, categories: productPaths.get(String(line.product)) || [] }));
+};
+
+/**
+ * Check a coupon code against a cart or order
+ * @param {string} code - Coupon code as entered
+ * @param {Object} context - { lines: [{ product, lineTotal }], subtotal, userId }
+ * @returns {Promise<Object>} - applyCoupon's result plus the coupon and its code
+ */
+const evaluateCouponService = async (code, { lines, subtotal, userId }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+
+  const needsCategories = Boolean(coupon) && coupon.categories.length > 0;
+  const userRedemptions =
+    coupon && userId && coupon.perUserLimit !== null
+      ? await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId })
+      : 0;
+
+  const result = applyCoupon(coupon, {
+    lines: needsCategories ? await withCategories(lines) : lines,
+    subtotal,
+    userId,
+    userRedemptions,
+  });
+
+  return { ...result, code: coupon ? coupon.code : String(code).trim().toUpperCase(), coupon };
+};
+
+/**
+ * Count a use of a coupon for an order
+ * The global limit is enforced atomically and the per-user limit is counted
+ * again inside the transaction, so concurrent checkouts cannot redeem a
+ * coupon more often than allowed.
+ * @param {Object} coupon - Coupon
+ * @param {Object} redemption - { user, order, discount }
+ * @param {Object} [session] - Transaction the order is created in
+ */
+const redeemCouponService = async (coupon, { user, order, discount }, session) => {
+  const updated = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session }
+  );
+
+  if (!updated) throw new AppError(`Coupon ${coupon.code} is no longer available`, 409);
+
+  // Counted after the usedCount write: a concurrent checkout of the same
+  // coupon conflicts on that write and retries, seeing this redemption
+  if (updated.perUserLimit !== null) {
+    const userRedemptions = await CouponRedemption.countDocuments({ coupon: coupon._id, user }).session(session || null);
+    if (userRedemptions >= updated.perUserLimit) {
+      throw new AppError(`You have already used coupon ${coupon.code} the maximum number of times`, 409);
+    }
+  }
+
+  await CouponRedemption.create([{ coupon: coupon._id, user, order, discount }], { session });
+};
+
+/**
+ * Give the coupon use of a cancelled order back
+ * @param {string} orderId - Order ID
+ * @param {Object} [session] - Transaction the order is changed in
+ */
+const releaseCouponService = async (orderId, session) => {
+  const redemption = await CouponRedemption.findOneAndDelete({ order: orderId }, { session });
+  if (!redemption) return;
+
+  await Coupon.updateOne({ _id: redemption.coupon }, { $inc: { usedCount: -1 } }, { session });
+};
+
+/**
+ * List coupons
+ * @param {Object} query - req.query (page, limit, sort, fields and COUPON_QUERY filters)
+ */
+const getCouponsService = async (query = {}) => {
+  const { page = 1, limit = 10 } = query;
+  const { filter, sortFields, select } = parseListQuery(query, COUPON_QUERY);
+
+  const skip = (page - 1) * limit;
+
+  const coupons = await Coupon.find(filter)
+    .sort(toSortObject(sortFields))
+    .skip(skip)
+    .limit(Number.parseInt(limit))
+    .select(select);
+
+  const total = await Coupon.countDocuments(filter);
+
+  return {
+    coupons,
+    pagination: {
+      currentPage: Number.parseInt(page),
+      totalPages: Math.ceil(total / limit),
+      totalCoupons: total,
+      hasNext: page * limit < total,
+      hasPrev: page > 1,
+    },
+  };
+};
+
+/**
+ * Get a coupon
+ * @param {string} id - Coupon ID
+ */
+const getCouponService = async (id) => {
+  const coupon = await Coupon.findById(id);
+  if (!coupon) throw new AppError("Coupon not found", 404);
+  return coupon;
+};
+
+/**
+ * Reject a code that is already taken
+ */
+const assertCodeAvailable = async (code, excludeId) => {
+  const exists = await Coupon.exists({
+    code: code.trim().toUpperCase(),
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  });
+
+  if (exists) throw new AppError(`Coupon code "${code.trim().toUpperCase()}" already exists`, 409);
+};
+
+const pickEditable = (data) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) fields[field] = data[field];
+  });
+  return fields;
+};
+
+/**
+ * Create a coupon
+ * @param {Object} data - Coupon fields
+ * @param {string} actorId - Admin creating it
+ */
+const createCouponService = async (data, actorId) => {
+  await assertCodeAvailable(data.code);
+  return await Coupon.create({ ...pickEditable(data), createdBy: actorId });
+};
+
+/**
+ * Update a coupon
+ * @param {string} id - Coupon ID
+ * @param {Object} data - Fields to change
+ */
+const updateCouponService = async (id, data) => {
+  const coupon = await getCouponService(id);
+  const fields = pickEditable(data);
+
+  if (fields.code !== undefined && fields.code.trim().toUpperCase() !== coupon.code) {
+    await assertCodeAvailable(fields.code, coupon._id);
+  }
+
+  coupon.set(fields);
+  await coupon.save();
+  return coupon;
+};
+
+/**
+ * Delete a coupon that was never used; used ones can only be deactivated
+ * @param {string} id - Coupon ID
+ */
+const deleteCouponService = async (id) => {
+  const coupon = await getCouponService(id);
+
+  if (coupon.usedCount > 0 || (await CouponRedemption.exists({ coupon: coupon._id }))) {
+    throw new AppError("This coupon has been used. Deactivate it instead.", 409);
+  }
+
+  await coupon.deleteOne();
+};
+
+module.exports = {
+  applyCoupon,
+  evaluateCouponService,
+  redeemCouponService,
+  releaseCouponService,
+  getCouponsService,
+  getCouponService,
+  createCouponService,
+  updateCouponService,
+  deleteCouponService,
+};
@@ -0,0 +1,414 @@
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const StockMovement = require("../models/StockMovement");
+const User = require("../models/User");
+const AppError = require("../utils/appError");
+const mailService = require("./mailService");
+
+/**
+ * Stock levels in aggregation form for the product ("$") or a variant
+ * ("$$variant."). Products created before the stock fields existed have
+ * neither stored, which counts as zero.
+ */
+const stockLevels = (prefix) => {
+  const quantity = { $ifNull: [`${prefix}quantity`, 0] };
+  const reserved = { $ifNull: [`${prefix}reserved`, 0] };
+  return { quantity, reserved, available: { $subtract: [quantity, reserved] } };
+};
+
+const PRODUCT = stockLevels("$");
+const VARIANT = stockLevels("$$variant.");
+
+const VARIANTS = { $ifNull: ["$variants", []] };
+const HAS_NO_VARIANTS = { $eq: [{ $size: VARIANTS }, 0] };
+const LOW_STOCK_THRESHOLD = {
+  $ifNull: ["$lowStockThreshold", Number.parseInt(process.env.LOW_STOCK_THRESHOLD) || 5],
+};
+
+/**
+ * True when at least one variant matches the condition
+ */
+const anyVariant = (condition) => ({
+  $gt: [{ $size: { $filter: { input: VARIANTS, as: "variant", cond: condition } } }, 0],
+});
+
+const ACTIVE_VARIANT = { $ne: ["$$variant.isActive", false] };
+
+// Product can be sold: its own stock, or any active variant's
+const IN_STOCK = {
+  $or: [
+    { $and: [HAS_NO_VARIANTS, { $gt: [PRODUCT.available, 0] }] },
+    anyVariant({ $and: [ACTIVE_VARIANT, { $gt: [VARIANT.available, 0] }] }),
+  ],
+};
+
+// Product (or one of its active variants) is at or below the threshold
+const LOW_STOCK = {
+  $or: [
+    { $and: [HAS_NO_VARIANTS, { $lte: [PRODUCT.available, LOW_STOCK_THRESHOLD] }] },
+    anyVariant({ $and: [ACTIVE_VARIANT, { $lte: [VARIANT.available, LOW_STOCK_THRESHOLD] }] }),
+  ],
+};
+
+/**
+ * Cast a requested quantity to a whole number of units
+ * Request validation does not convert the body, so "5" arrives as a string.
+ * @param {*} quantity - Requested quantity
+ * @param {Object} [options] - { signed } allows negative changes
+ * @returns {number} - Units (never 0)
+ */
+const toUnits = (quantity, { signed = false } = {}) => {
+  const units = typeof quantity === "string" && quantity.trim() !== "" ? Number(quantity) : quantity;
+
+  if (!Number.isInteger(units) || units === 0 || (!signed && units < 0)) {
+    throw new AppError(
+      signed ? "Quantity must be a whole number other than 0" : "Quantity must be a whole number of 1 or more",
+      400
+    );
+  }
+
+  return units;
+};
+
+/**
+ * Build the atomic update for either the product's own stock or one variant
+ * @param {Object} [variantId] - Variant ObjectId, if the stock belongs to a variant
+ * @param {Function} condition - (levels) => $expr condition on the stock levels
+ * @param {Object} increments - { quantity, reserved } deltas
+ */
+const buildStockUpdate = (variantId, condition, increments) => {
+  if (!variantId) {
+    return {
+      filter: { $expr: { $and: [HAS_NO_VARIANTS, condition(PRODUCT)] } },
+      update: { $inc: increments },
+      options: {},
+    };
+  }
+
+  const inc = {};
+  Object.entries(increments).forEach(([field, delta]) => {
+    inc[`variants.$[variant].${field}`] = delta;
+  });
+
+  return {
+    filter: {
+      $expr: anyVariant({ $and: [{ $eq: ["$$variant._id", variantId] }, condition(VARIANT)] }),
+    },
+    update: { $inc: inc },
+    options: { arrayFilters: [{ "variant._id": variantId }] },
+  };
+};
+
+/**
+ * Apply a conditional atomic change to a product's (or variant's) stock
+ * The condition and the $inc run as one findOneAndUpdate, so concurrent
+ * requests can never oversell or drive a level below zero.
+ * @param {Object} [options] - { session } runs the change inside a transaction;
+ *   { withDeleted } also finds trashed products (their reservations still count)
+ * @returns {Promise<{ product: Object, variant: (Object|undefined) }>} - State after the change
+ */
+const updateStock = async (
+  productId,
+  variant,
+  condition,
+  increments,
+  failureMessage,
+  { session = null, withDeleted = false } = {}
+) => {
+  let variantId;
+  if (variant) {
+    if (!mongoose.isValidObjectId(variant)) throw new AppError("Variant not found", 404);
+    // $expr compares without casting, so the id has to be an ObjectId already
+    variantId = new mongoose.Types.ObjectId(String(variant));
+  }
+
+  const { filter, update, options } = buildStockUpdate(variantId, condition, increments);
+
+  const product = await Product.findOneAndUpdate({ _id: productId, ...filter }, update, {
+    ...options,
+    new: true,
+    session,
+    withDeleted,
+  });
+
+  if (!product) {
+    const current = await Product.findById(productId)
+      .select("variants._id")
+      .session(session)
+      .setOptions({ withDeleted });
+    if (!current) throw new AppError("Product not found", 404);
+
+    const variants = current.variants || [];
+    if (!variantId && variants.length > 0) {
+      throw new AppError("This product has variants. Change the stock of a variant instead.", 400);
+    }
+    if (variantId && !variants.some((v) => v._id.equals(variantId))) {
+      throw new AppError("Variant not found", 404);
+    }
+
+    throw new AppError(failureMessage, 409);
+  }
+
+  return { product, variant: variantId && product.variants.id(variantId) };
+};
+
+/**
+ * Record a stock change in the ledger
+ */
+const recordMovement = async (
+  { product, variant },
+  type,
+  quantity,
+  { actor, reason, reference, session } = {}
+) => {
+  const levels = variant || product;
+
+  const [movement] = await StockMovement.create(
+    [
+      {
+        product: product._id,
+        variant: variant ? variant._id : null,
+        type,
+        quantity,
+        reason,
+        reference,
+        actor: actor || null,
+        quantityAfter: levels.quantity,
+        reservedAfter: levels.reserved,
+      },
+    ],
+    { session }
+  );
+
+  return movement;
+};
+
+/**
+ * Email the product owner (and LOW_STOCK_ALERT_EMAIL, if set) when available
+ * stock drops to the product's threshold. Only fires on the crossing, not on
+ * every later change while stock stays low.
+ * @param {Object} state - { product, variant } after the change
+ * @param {number} availableBefore - Available units before the change
+ */
+const alertIfLowStock = async ({ product, variant }, availableBefore) => {
+  const available = (variant || product).available;
+  const threshold = product.lowStockThreshold;
+
+  if (availableBefore <= threshold || available > threshold) return;
+
+  const owner = await User.findById(product.user).select("name email");
+  const recipients = [owner && owner.email, process.env.LOW_STOCK_ALERT_EMAIL].filter(Boolean);
+
+  for (const to of recipients) {
+    await mailService
+      .sendLowStockAlert(to, product, variant)
+      .catch((error) => console.error("Failed to send low stock alert:", error.message));
+  }
+};
+
+// Low-stock alerts raised inside a stock transaction, sent once it commits
+const pendingAlerts = new WeakMap();
+
+/**
+ * Send a low-stock alert now, or after the surrounding transaction commits so
+ * a rolled back change never alerts anyone
+ */
+const notifyLowStock = async (state, availableBefore, session) => {
+  if (session && pendingAlerts.has(session)) {
+    pendingAlerts.get(session).push(() => alertIfLowStock(state, availableBefore));
+    return;
+  }
+  await alertIfLowStock(state, availableBefore);
+};
+
+/**
+ * Run several stock changes (and any other writes) as one transaction
+ * Pass the session to every stock function and query inside `work` through
+ * its context/options. Requires MongoDB running as a replica set.
+ * @param {Function} work - async (session) => result; may be retried on transient errors
+ * @returns {Promise<*>} - Whatever `work` returned
+ */
+const runStockTransaction = async (work) => {
+  let result;
+  let alerts = [];
+
+  await mongoose.connection.transaction(async (session) => {
+    alerts = [];
+    pendingAlerts.set(session, alerts);
+    result = await work(session);
+  });
+
+  for (const alert of alerts) await alert();
+  return result;
+};
+
+/**
+ * Reserve units for a pending sale
+ * @param {string} productId - Product ID
+ * @param {number} quantity - Units to reserve (> 0)
+ * @param {Object} [context] - { variant, actor, reason, reference, session }
+ */
+const reserveStock = async (productId, quantity, context = {}) => {
+  const units = toUnits(quantity);
+  const state = await updateStock(
+    productId,
+    context.variant,
+    (levels) => ({ $gte: [levels.available, units] }),
+    { reserved: units },
+    "Insufficient stock",
+    { session: context.session }
+  );
+
+  const movement = await recordMovement(state, "reserve", units, context);
+  await notifyLowStock(state, (state.variant || state.product).available + units, context.session);
+
+  return { ...state, movement };
+};
+
+/**
+ * Give reserved units back (e.g. a cancelled order)
+ * @param {string} productId - Product ID
+ * @param {number} quantity - Units to release (> 0)
+ * @param {Object} [context] - { variant, actor, reason, reference, session }
+ */
+const releaseStock = async (productId, quantity, context = {}) => {
+  const units = toUnits(quantity);
+  const state = await updateStock(
+    productId,
+    context.variant,
+    (levels) => ({ $gte: [levels.reserved, units] }),
+    { reserved: -units },
+    "Cannot release more units than are reserved",
+    { session: context.session, withDeleted: true }
+  );
+
+  const movement = await recordMovement(state, "release", -units, context);
+
+  return { ...state, movement };
+};
+
+/**
+ * Turn reserved units into a sale: they leave the stock on hand
+ * Available stock does not change, so no low-stock alert is due.
+ * @param {string} productId - Product ID
+ * @param {number} quantity - Reserved units sold (> 0)
+ * @param {Object} [context] - { variant, actor, reason, reference, session }
+ */
+const commitStock = async (productId, quantity, context = {}) => {
+  const units = toUnits(quantity);
+  const state = await updateStock(
+    productId,
+    context.variant,
+    (levels) => ({ $gte: [levels.reserved, units] }),
+    { quantity: -units, reserved: -units },
+    "Cannot sell more units than are reserved",
+    { session: context.session, withDeleted: true }
+  );
+
+  const movement = await recordMovement(state, "sale", -units, context);
+
+  return { ...state, movement };
+};
+
+/**
+ * Change the units on hand (restock, stock take correction, shrinkage)
+ * Stock cannot drop below what is already reserved.
+ * @param {string} productId - Product ID
+ * @param {number} quantity - Signed change (non-zero)
+ * @param {Object} context - { variant, actor, reason, reference, session }
+ */
+const adjustStock = async (productId, quantity, context = {}) => {
+  const units = toUnits(quantity, { signed: true });
+  const state = await updateStock(
+    productId,
+    context.variant,
+    (levels) => ({ $gte: [{ $add: [levels.quantity, units] }, levels.reserved] }),
+    { quantity: units },
+    "Stock cannot drop below the reserved quantity",
+    { session: context.session }
+  );
+
+  const movement = await recordMovement(state, "adjust", units, context);
+  await notifyLowStock(state, (state.variant || state.product).available - units, context.session);
+
+  return { ...state, movement };
+};
+
+/**
+ * Get the stock levels and movement history of a product
+ * @param {string} productId - Product ID
+ * @param {Object} [options] - { variant } limits the history to one variant
+ */
+const getStockService = async (productId, { variant, page = 1, limit = 20 } = {}) => {
+  const product = await Product.findById(productId).select(
+    "name quantity reserved lowStockThreshold variants"
+  );
+  if (!product) throw new AppError("Product not found", 404);
+
+  const filter = { product: product._id, ...(variant && { variant }) };
+  const skip = (page - 1) * limit;
+
+  const movements = await StockMovement.find(filter)
+    .sort("-createdAt")
+    .skip(skip)
+    .limit(Number.parseInt(limit))
+    .populate("actor", "name email");
+
+  const total = await StockMovement.countDocuments(filter);
+
+  return {
+    product,
+    movements,
+    pagination: {
+      currentPage: Number.parseInt(page),
+      totalPages: Math.ceil(total / limit),
+      totalMovements: total,
+      hasNext: page * limit < total,
+      hasPrev: page > 1,
+    },
+  };
+};
+
+/**
+ * Get products whose available stock (or one of whose variants') is at or
+ * below their threshold
+ * @param {Object} [options] - { user } limits the list to one owner
+ */
+const getLowStockProductsService = async ({ user, page = 1, limit = 10 } = {}) => {
+  const filter = {
+    $expr: LOW_STOCK,
+    ...(user && { user }),
+  };
+
+  const skip = (page - 1) * limit;
+
+  const products = await Product.find(filter)
+    .select("name quantity reserved lowStockThreshold variants user")
+    .sort("quantity")
+    .skip(skip)
+    .limit(Number.parseInt(limit));
+
+  const total = await Product.countDocuments(filter);
+
+  return {
+    products,
+    pagination: {
+      currentPage: Number.parseInt(page),
+      totalPages: Math.ceil(total / limit),
+      totalProducts: total,
+      hasNext: page * limit < total,
+      hasPrev: page > 1,
+    },
+  };
+};
+
+module.exports = {
+  reserveStock,
+  releaseStock,
+  commitStock,
+  adjustStock,
+  runStockTransaction,
+  getStockService,
+  getLowStockProductsService,
+  IN_STOCK,
+};
@@ -0,0 +1,134 @@
+const path = require("path")
+const createConsoleTransport = require("./mailTransports/consoleTransport")
+const createFileTransport = require("./mailTransports/fileTransport")
+
+/**
+ * Build the transport selected by MAIL_TRANSPORT (console by default)
+ * @returns {Object} - Mail transport
+ */
+const createDefaultTransport = () => {
+  if (process.env.MAIL_TRANSPORT === "file") {
+    return createFileTransport(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "../../mail-outbox"))
+  }
+
+  return createConsoleTransport()
+}
+
+/**
+ * Mail Service Layer
+ * Composes application emails and hands them to a pluggable transport.
+ * A transport is any object with an async send({ from, to, subject, text }) method.
+ */
+class MailService {
+  constructor() {
+    this.transport = null
+  }
+
+  /**
+   * Replace the mail transport (e.g. with an SMTP or provider-backed one)
+   * @param {Object} transport - Object implementing send(message)
+   */
+  setTransport(transport) {
+    this.transport = transport
+  }
+
+  /**
+   * Send an email through the configured transport
+   * @param {Object} message - Message with to, subject and text
+   * @returns {Promise<void>}
+   */
+  async sendMail(message) {
+    if (!this.transport) {
+      this.transport = createDefaultTransport()
+    }
+
+    await this.transport.send({
+      from: process.env.MAIL_FROM || "no-reply@nodejs-rest-api.local",
+      ...message,
+    })
+  }
+
+  /**
+   * Build a link into the client application
+   * @param {string} pathname - Path on the client
+   * @returns {string} - Absolute URL
+   */
+  clientUrl(pathname) {
+    return `${process.env.CLIENT_URL || "http://localhost:3000"}${pathname}`
+  }
+
+  /**
+   * Build a link to this API
+   * @param {string} pathname - Path on the API
+   * @returns {string} - Absolute URL
+   */
+  apiUrl(pathname) {
+    return `${process.env.API_URL || `http://localhost:${process.env.PORT || 5001}`}${pathname}`
+  }
+
+  /**
+   * Send email address verification link
+   * @param {Object} user - Recipient
+   * @param {string} verificationToken - Plain verification token
+   * @returns {Promise<void>}
+   */
+  async sendVerificationEmail(user, verificationToken) {
+    await this.sendMail({
+      to: user.email,
+      subject: "Verify your email address",
+      text: `Hi ${user.name},
+
+Please confirm your email address by opening the link below:
+
+${this.apiUrl(`/api/v1/users/verify-email/${verificationToken}`)}
+
+This link expires in ${process.env.EMAIL_VERIFICATION_EXPIRE_HOURS || 24} hours.`,
+    })
+  }
+
+  /**
+   * Send password reset instructions
+   * @param {Object} user - Recipient
+   * @param {string} resetToken - Plain reset token
+   * @returns {Promise<void>}
+   */
+  async sendPasswordResetEmail(user, resetToken) {
+    await this.sendMail({
+      to: user.email,
+      subject: "Reset your password",
+      text: `Hi ${user.name},
+
+We received a request to reset your password. Use the link below to choose a new one:
+
+${this.clientUrl(`/reset-password/${resetToken}`)}
+
+This link expires in ${process.env.PASSWORD_RESET_EXPIRE_MINUTES || 60} minutes and can only be used once.
+If you did not request a password reset, you can ignore this email.`,
+    })
+  }
+
+  /**
+   * Warn that a product (or one of its variants) is running out of stock
+   * @param {string} to - Recipient address
+   * @param {Object} product - Product after the stock change
+   * @param {Object} [variant] - Variant whose stock changed
+   * @returns {Promise<void>}
+   */
+  async sendLowStockAlert(to, product, variant) {
+    const levels = variant || product
+    const label = variant ? `${product.name} (${variant.sku})` : product.name
+
+    await this.sendMail({
+      to,
+      subject: `Low stock: ${label}`,
+      text: `"${label}" is running low on stock.
+
+Available: ${levels.available} (on hand ${levels.quantity}, reserved ${levels.reserved})
+Alert threshold: ${product.lowStockThreshold}
+
+Stock history: ${this.apiUrl(`/api/v1/products/${product._id}/stock`)}`,
+    })
+  }
+}
+
+module.exports = new MailService()
@@ -0,0 +1,19 @@
+/**
+ * Console mail transport
+ * Prints outgoing mail to stdout. Useful for local development.
+ * @returns {Object} - Transport implementing send(message)
+ */
+const createConsoleTransport = () => ({
+  name: "console",
+
+  async send(message) {
+    console.log(`
+📧 Mail to: ${message.to}
+   Subject: ${message.subject}
+
+${message.text}
+`)
+  },
+})
+
+module.exports = createConsoleTransport
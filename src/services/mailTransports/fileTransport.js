@@ -0,0 +1,23 @@
+const fs = require("fs/promises")
+const path = require("path")
+
+/**
+ * File mail transport
+ * Writes every outgoing mail as a JSON file into an outbox directory
+ * @param {string} outboxDir - Directory the mails are written to
+ * @returns {Object} - Transport implementing send(message)
+ */
+const createFileTransport = (outboxDir) => ({
+  name: "file",
+
+  async send(message) {
+    await fs.mkdir(outboxDir, { recursive: true })
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.-]/gi, "_")}.json`
+    const mail = { ...message, sentAt: new Date().toISOString() }
+
+    await fs.writeFile(path.join(outboxDir, fileName), JSON.stringify(mail, null, 2))
+  },
+})
+
+module.exports = createFileTransport
@@ -0,0 +1,206 @@
+const crypto = require("crypto")
+const User = require("../models/User")
+const AppError = require("../utils/appError")
+const { generateSecret, verifyCode, buildOtpauthUri } = require("../utils/totp")
+
+const BACKUP_CODE_COUNT = 10
+
+/**
+ * MFA Service Layer
+ * TOTP (RFC 6238) enrollment, verification and backup codes
+ */
+class MfaService {
+  /**
+   * Check whether MFA is mandatory for a role (MFA_REQUIRED_ROLES, comma separated)
+   * @param {string} role - User role
+   * @returns {boolean} - True if users with this role must use MFA
+   */
+  isRequiredForRole(role) {
+    const requiredRoles = (process.env.MFA_REQUIRED_ROLES || "")
+      .split(",")
+      .map((r) => r.trim())
+      .filter(Boolean)
+
+    return requiredRoles.includes(role)
+  }
+
+  /**
+   * Start MFA enrollment by generating a new secret
+   * The secret only becomes active once a code from it has been verified
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Secret and otpauth URI for authenticator apps
+   */
+  async startSetup(userId) {
+    const user = await User.findById(userId)
+
+    if (!user) {
+      throw new AppError("User not found", 404)
+    }
+
+    if (user.mfaEnabled) {
+      throw new AppError("Two-factor authentication is already enabled", 400)
+    }
+
+    const secret = generateSecret()
+    user.mfaSecret = secret
+    await user.save({ validateBeforeSave: false })
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email),
+    }
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code
+   * @returns {Promise<string[]>} - Plain backup codes (shown once)
+   */
+  async enable(userId, code) {
+    const user = await User.findById(userId).select("+mfaSecret +mfaLastUsedStep")
+
+    if (!user) {
+      throw new AppError("User not found", 404)
+    }
+
+    if (user.mfaEnabled) {
+      throw new AppError("Two-factor authentication is already enabled", 400)
+    }
+
+    if (!user.mfaSecret) {
+      throw new AppError("Two-factor authentication setup has not been started", 400)
+    }
+
+    const step = verifyCode(user.mfaSecret, code)
+    if (step === null) {
+      throw new AppError("Invalid authentication code", 401)
+    }
+
+    const backupCodes = this.generateBackupCodes()
+    user.mfaEnabled = true
+    user.mfaLastUsedStep = step
+    user.mfaBackupCodes = backupCodes.map((backupCode) => User.hashToken(backupCode))
+    await user.save({ validateBeforeSave: false })
+
+    return backupCodes
+  }
+
+  /**
+   * Turn MFA off after re-checking password and a second factor
+   * @param {string} userId - User ID
+   * @param {string} password - Current password
+   * @param {string} code - TOTP or backup code
+   * @returns {Promise<void>}
+   */
+  async disable(userId, password, code) {
+    const user = await User.findById(userId).select("+password +mfaSecret +mfaBackupCodes +mfaLastUsedStep")
+
+    if (!user) {
+      throw new AppError("User not found", 404)
+    }
+
+    if (!user.mfaEnabled) {
+      throw new AppError("Two-factor authentication is not enabled", 400)
+    }
+
+    if (this.isRequiredForRole(user.role)) {
+      throw new AppError("Two-factor authentication is mandatory for your role", 403)
+    }
+
+    const isPasswordValid = await user.comparePassword(password)
+    if (!isPasswordValid || !(await this.verifySecondFactor(user, code))) {
+      throw new AppError("Invalid password or authentication code", 401)
+    }
+
+    user.mfaEnabled = false
+    user.mfaSecret = undefined
+    user.mfaBackupCodes = []
+    user.mfaLastUsedStep = undefined
+    await user.save({ validateBeforeSave: false })
+  }
+
+  /**
+   * Replace all backup codes
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code
+   * @returns {Promise<string[]>} - New plain backup codes (shown once)
+   */
+  async regenerateBackupCodes(userId, code) {
+    const user = await User.findById(userId).select("+mfaSecret +mfaBackupCodes +mfaLastUsedStep")
+
+    if (!user) {
+      throw new AppError("User not found", 404)
+    }
+
+    if (!user.mfaEnabled) {
+      throw new AppError("Two-factor authentication is not enabled", 400)
+    }
+
+    if (!this.verifyTotp(user, code)) {
+      throw new AppError("Invalid authentication code", 401)
+    }
+
+    const backupCodes = this.generateBackupCodes()
+    user.mfaBackupCodes = backupCodes.map((backupCode) => User.hashToken(backupCode))
+    await user.save({ validateBeforeSave: false })
+
+    return backupCodes
+  }
+
+  /**
+   * Verify a TOTP code or consume a backup code
+   * The user document must include mfaSecret, mfaBackupCodes and mfaLastUsedStep;
+   * it is saved when a code is accepted.
+   * @param {Object} user - User document
+   * @param {string} code - TOTP or backup code
+   * @returns {Promise<boolean>} - True if the code was accepted
+   */
+  async verifySecondFactor(user, code) {
+    if (this.verifyTotp(user, code)) {
+      await user.save({ validateBeforeSave: false })
+      return true
+    }
+
+    const hashedCode = User.hashToken(String(code).trim().toLowerCase())
+    const index = (user.mfaBackupCodes || []).indexOf(hashedCode)
+    if (index === -1) return false
+
+    // Backup codes are single-use
+    user.mfaBackupCodes.splice(index, 1)
+    await user.save({ validateBeforeSave: false })
+    return true
+  }
+
+  /**
+   * Check a TOTP code, rejecting codes from an already used time step
+   * Records the accepted step on the document (caller saves)
+   * @param {Object} user - User document with mfaSecret and mfaLastUsedStep
+   * @param {string} code - TOTP code
+   * @returns {boolean} - True if the code is valid and unused
+   */
+  verifyTotp(user, code) {
+    if (!user.mfaSecret) return false
+
+    const step = verifyCode(user.mfaSecret, code)
+    if (step === null || (user.mfaLastUsedStep != null && step <= user.mfaLastUsedStep)) {
+      return false
+    }
+
+    user.mfaLastUsedStep = step
+    return true
+  }
+
+  /**
+   * Generate random one-time backup codes
+   * @returns {string[]} - Codes formatted as xxxxx-xxxxx
+   */
+  generateBackupCodes() {
+    return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString("hex")
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`
+    })
+  }
+}
+
+module.exports = new MfaService()
@@ -0,0 +1,266 @@
+const Order = require("../models/Order");
+const Cart = require("../models/Cart");
+const AppError = require("../utils/appError");
+const { toSortObject } = require("../utils/pagination");
+const { parseListQuery, parseFields } = require("../utils/queryParser");
+const { getCartService } = require("./cartService");
+const { evaluateCouponService, redeemCouponService, releaseCouponService } = require("./couponService");
+const {
+  reserveStock,
+  releaseStock,
+  commitStock,
+  adjustStock,
+  runStockTransaction,
+} = require("./inventoryService");
+
+// What order lists may be filtered, sorted and shaped by
+const ORDER_QUERY = {
+  filters: {
+    status: "string",
+    paymentStatus: "string",
+    "coupon.code": "string",
+    user: "objectId",
+    orderNumber: "string",
+    total: "number",
+    createdAt: "date",
+    updatedAt: "date",
+  },
+  sortable: ["createdAt", "updatedAt", "total", "status"],
+  selectable: ["orderNumber", "user", "items", "subtotal", "discount", "coupon", "total", "currency", "shippingAddress", "notes", "status", "statusHistory", "paymentStatus", "createdAt", "updatedAt"],
+  defaultSort: "-createdAt",
+  aliases: {
+    coupon: ["coupon.code", "eq"],
+  },
+};
+
+const ADDRESS_FIELDS = ["fullName", "line1", "line2", "city", "state", "postalCode", "country", "phone"];
+
+/**
+ * Place an order for everything in the user's cart
+ * The cart must be free of price, stock and availability issues (see
+ * POST /api/v1/cart/refresh), and its coupon, if any, must still apply.
+ * Stock is reserved for every line, the coupon redeemed, the order created
+ * and the cart emptied in one transaction: either all of it happens or none
+ * of it does.
+ * @param {string} userId - Buyer
+ * @param {Object} data - { shippingAddress, notes }
+ */
+const checkoutService = async (userId, { shippingAddress = {}, notes }) => {
+  const cart = await getCartService({ user: userId });
+  if (cart.items.length === 0) throw new AppError("Your cart is empty", 400);
+
+  if (cart.hasIssues) {
+    const problems = cart.items
+      .filter((item) => item.issues.length > 0)
+      .map((item) => `${item.name}: ${item.issues.map((issue) => issue.message).join(", ")}`);
+
+    throw new AppError(
+      `Your cart has changed since the items were added. Review it before checking out (${problems.join("; ")})`,
+      409
+    );
+  }
+
+  const coupon = cart.coupon
+    ? await evaluateCouponService(cart.coupon.code, { lines: cart.items, subtotal: cart.subtotal, userId })
+    : null;
+
+  if (coupon && !coupon.valid) {
+    throw new AppError(`Coupon ${coupon.code} cannot be used: ${coupon.reason.message}. Remove it to check out.`, 409);
+  }
+
+  const discount = coupon ? coupon.discount : 0;
+  const orderNumber = Order.generateOrderNumber();
+  const items = cart.items.map((item) => ({
+    product: item.product,
+    variant: item.variant,
+    name: item.name,
+    sku: item.sku,
+    unitPrice: item.currentPrice,
+    quantity: item.quantity,
+    lineTotal: item.lineTotal,
+  }));
+
+  const address = {};
+  ADDRESS_FIELDS.forEach((field) => {
+    if (shippingAddress[field] !== undefined) address[field] = shippingAddress[field];
+  });
+
+  return await runStockTransaction(async (session) => {
+    for (const item of items) {
+      await reserveStock(item.product, item.quantity, {
+        variant: item.variant,
+        actor: userId,
+        reason: "Checkout",
+        reference: orderNumber,
+        session,
+      });
+    }
+
+    const [order] = await Order.create(
+      [
+        {
+          orderNumber,
+          user: userId,
+          items,
+          subtotal: cart.subtotal,
+          discount,
+          coupon: coupon ? { code: coupon.code, coupon: coupon.coupon._id } : undefined,
+          total: Math.round((cart.subtotal - discount) * 100) / 100,
+          shippingAddress: address,
+          notes,
+          statusHistory: [{ status: "pending", actor: userId }],
+        },
+      ],
+      { session }
+    );
+
+    if (coupon) {
+      await redeemCouponService(coupon.coupon, { user: userId, order: order._id, discount }, session);
+    }
+
+    // Only empty the cart that was priced above: if it changed in the meantime
+    // (or a second checkout of the same cart got here first), nothing matches
+    // and the whole transaction rolls back
+    const cleared = await Cart.updateOne(
+      { user: userId, updatedAt: cart.updatedAt },
+      { $set: { items: [], couponCode: null } },
+      { session }
+    );
+    if (cleared.matchedCount === 0) {
+      throw new AppError("Your cart changed while checking out. Review it and try again", 409);
+    }
+
+    return order;
+  });
+};
+
+/**
+ * List orders, newest first by default
+ * @param {Object} query - req.query (page, limit, sort, fields and ORDER_QUERY filters)
+ * @param {Object} [scope] - Conditions the caller enforces, e.g. { user } for "my orders"
+ */
+const getOrdersService = async (query = {}, scope = {}) => {
+  const { page = 1, limit = 10 } = query;
+
+  const { filter, sortFields, select } = parseListQuery(query, ORDER_QUERY);
+  const conditions = { ...filter, ...scope };
+
+  const skip = (page - 1) * limit;
+
+  const orders = await Order.find(conditions)
+    .sort(toSortObject(sortFields))
+    .skip(skip)
+    .limit(Number.parseInt(limit))
+    .select(select);
+
+  const total = await Order.countDocuments(conditions);
+
+  return {
+    orders,
+    pagination: {
+      currentPage: Number.parseInt(page),
+      totalPages: Math.ceil(total / limit),
+      totalOrders: total,
+      hasNext: page * limit < total,
+      hasPrev: page > 1,
+    },
+  };
+};
+
+/**
+ * Get a single order
+ * The buyer is always included so the caller can check ownership.
+ * @param {string} orderId - Order ID
+ * @param {Object} [query] - Optional fields= sparse fieldset
+ */
+const getOrderService = async (orderId, query = {}) => {
+  const select = parseFields(query.fields, ORDER_QUERY.selectable);
+
+  return await Order.findById(orderId)
+    .select(select && `${select} user`)
+    .populate("user", "name email");
+};
+
+/**
+ * Move an order to a new status
+ * The stock follows the order in the same transaction:
+ *   cancelled, or refunded before shipping - the reservation is released
+ *   shipped                                 - reserved units leave the stock on hand
+ *   refunded after shipping                 - units are put back only with restock
+ * Cancelled orders also give their coupon use back.
+ * @param {Object} order - Order document
+ * @param {string} status - Target status
+ * @param {Object} [options] - { actor, note, restock }
+ */
+const changeOrderStatusService = async (order, status, { actor = null, note, restock = false } = {}) => {
+  const error = order.transitionError(status);
+  if (error) throw new AppError(error, 409);
+
+  const from = order.status;
+  const releases = status === "cancelled" || (status === "refunded" && from === "paid");
+
+  return await runStockTransaction(async (session) => {
+    for (const item of order.items) {
+      const context = {
+        variant: item.variant,
+        actor,
+        reason: `Order ${status}`,
+        reference: order.orderNumber,
+        session,
+      };
+
+      if (status === "shipped") {
+        await commitStock(item.product, item.quantity, context);
+      } else if (releases) {
+        await releaseStock(item.product, item.quantity, context);
+      } else if (status === "refunded" && restock) {
+        await adjustStock(item.product, item.quantity, context);
+      }
+    }
+
+    if (status === "cancelled") await releaseCouponService(order._id, session);
+
+    const changes = { status };
+    if (status === "paid" || status === "refunded") changes.paymentStatus = status;
+
+    // Only applies if nobody changed the status in the meantime
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, status: from },
+      { $set: changes, $push: { statusHistory: { status, actor, note } } },
+      { new: true, session }
+    );
+
+    if (!updated) {
+      throw new AppError("The order was changed in the meantime. Reload it and try again.", 409);
+    }
+
+    return updated;
+  });
+};
+
+/**
+ * Cancel one of the user's own orders; only possible before it is paid
+ * @param {string} userId - Buyer
+ * @param {string} orderId - Order ID
+ */
+const cancelMyOrderService = async (userId, orderId) => {
+  const order = await Order.findOne({ _id: orderId, user: userId });
+  if (!order) throw new AppError("Order not found", 404);
+
+  if (order.status !== "pending") {
+    throw new AppError("Only unpaid orders can be cancelled. Contact support for a refund.", 409);
+  }
+  if (order.paymentStatus === "processing") {
+    throw new AppError("A payment for this order is still being processed. Try again once it completes.", 409);
+  }
+
+  return await changeOrderStatusService(order, "cancelled", { actor: userId, note: "Cancelled by customer" });
+};
+
+module.exports = {
+  checkoutService,
+  getOrdersService,
+  getOrderService,
+  changeOrderStatusService,
+  cancelMyOrderService,
+};
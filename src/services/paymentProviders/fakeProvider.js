@@ -0,0 +1,137 @@
+const crypto = require("crypto")
+
+// Test payment methods and the outcome the fake gateway simulates for each
+const TEST_PAYMENT_METHODS = {
+  fake_success: "success", // Authorized straight away, captured by the caller
+  fake_decline: "decline", // Declined straight away
+  fake_delayed: "delayed", // Processing; confirmed later by a webhook
+}
+
+// Webhooks older than this are rejected to stop replays
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60
+
+const randomId = (prefix) => `${prefix}_fake_${crypto.randomBytes(12).toString("hex")}`
+
+const sign = (secret, timestamp, payload) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${payload}`).digest("hex")
+
+/**
+ * Fake payment provider
+ * A local stand-in for a real gateway, for development and CI. Intents only
+ * live in memory, and webhooks are signed like a real gateway's and POSTed
+ * back to the API.
+ * @param {Object} options - Provider options
+ * @param {string} options.webhookSecret - Secret the webhooks are signed with
+ * @param {string} options.webhookUrl - Where webhooks are delivered
+ * @param {number} [options.confirmDelayMs] - Delay before a "delayed" payment is confirmed
+ * @param {Function} [options.deliver] - async (payload, signature) replacing the HTTP delivery
+ * @returns {Object} - Provider implementing createIntent, capture, refund and verifyWebhook
+ */
+const createFakeProvider = ({ webhookSecret, webhookUrl, confirmDelayMs = 2000, deliver }) => {
+  const intents = new Map()
+
+  const send =
+    deliver ||
+    (async (payload, signature) => {
+      const response = await fetch(webhookUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "X-Fake-Signature": signature },
+        body: payload,
+      })
+      if (!response.ok) throw new Error(`Webhook endpoint answered ${response.status}`)
+    })
+
+  // Deliver an event in the background, like a gateway would
+  const emit = (type, intent, extra = {}) => {
+    const payload = JSON.stringify({
+      id: randomId("evt"),
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data: { intentId: intent.id, status: intent.status, amount: intent.amount, currency: intent.currency, ...extra },
+    })
+    const timestamp = Math.floor(Date.now() / 1000)
+
+    send(payload, `t=${timestamp},v1=${sign(webhookSecret, timestamp, payload)}`).catch((error) =>
+      console.error(`Failed to deliver fake payment webhook ${type}:`, error.message),
+    )
+  }
+
+  const findIntent = (intentId) => {
+    const intent = intents.get(intentId)
+    if (!intent) throw new Error(`Unknown payment intent ${intentId}`)
+    return intent
+  }
+
+  return {
+    name: "fake",
+
+    async createIntent({ amount, currency, reference, paymentMethod }) {
+      const outcome = TEST_PAYMENT_METHODS[paymentMethod]
+      const intent = { id: randomId("pi"), amount, currency, reference, status: "requires_capture" }
+
+      if (!outcome) {
+        intent.status = "failed"
+        intent.failureReason = `Unknown test payment method. Use one of: ${Object.keys(TEST_PAYMENT_METHODS).join(", ")}`
+      } else if (outcome === "decline") {
+        intent.status = "failed"
+        intent.failureReason = "Card declined"
+      } else if (outcome === "delayed") {
+        intent.status = "processing"
+        setTimeout(() => {
+          intent.status = "succeeded"
+          emit("payment_intent.succeeded", intent)
+        }, confirmDelayMs).unref()
+      }
+
+      intents.set(intent.id, intent)
+      return { ...intent }
+    },
+
+    async capture(intentId) {
+      const intent = findIntent(intentId)
+      if (intent.status !== "requires_capture") {
+        throw new Error(`Payment intent ${intentId} cannot be captured (${intent.status})`)
+      }
+
+      intent.status = "succeeded"
+      // Real gateways confirm captures by webhook too; the API must not count it twice
+      emit("payment_intent.succeeded", intent)
+
+      return { ...intent }
+    },
+
+    async refund(intentId, { amount } = {}) {
+      const intent = findIntent(intentId)
+      if (intent.status !== "succeeded") {
+        throw new Error(`Payment intent ${intentId} cannot be refunded (${intent.status})`)
+      }
+
+      const refund = { id: randomId("re"), amount: amount === undefined ? intent.amount : amount, status: "succeeded" }
+      intent.status = "refunded"
+      emit("charge.refunded", intent, { refundId: refund.id })
+
+      return refund
+    },
+
+    verifyWebhook(rawBody, headers) {
+      const header = headers["x-fake-signature"] || ""
+      const parts = Object.fromEntries(header.split(",").map((part) => part.split("=")))
+      const timestamp = Number.parseInt(parts.t)
+
+      if (!timestamp || !parts.v1) throw new Error("Missing webhook signature")
+      if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+        throw new Error("Webhook signature has expired")
+      }
+
+      const expected = Buffer.from(sign(webhookSecret, timestamp, rawBody.toString("utf8")))
+      const received = Buffer.from(parts.v1)
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new Error("Invalid webhook signature")
+      }
+
+      return JSON.parse(rawBody.toString("utf8"))
+    },
+  }
+}
+
+module.exports = createFakeProvider
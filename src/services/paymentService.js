@@ -0,0 +1,296 @@
+const crypto = require("crypto")
+const Order = require("../models/Order")
+const Payment = require("../models/Payment")
+const AppError = require("../utils/appError")
+const createFakeProvider = require("./paymentProviders/fakeProvider")
+const { changeOrderStatusService } = require("./orderService")
+
+/**
+ * Build the provider selected by PAYMENT_PROVIDER (the fake gateway by default)
+ * @returns {Object} - Payment provider
+ */
+const createDefaultProvider = () => {
+  if (process.env.PAYMENT_PROVIDER && process.env.PAYMENT_PROVIDER !== "fake") {
+    throw new Error(`Unknown PAYMENT_PROVIDER "${process.env.PAYMENT_PROVIDER}"`)
+  }
+
+  const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5001}`
+
+  return createFakeProvider({
+    // The fake gateway only signs webhooks for this process, so a random secret will do
+    webhookSecret: process.env.FAKE_PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString("hex"),
+    webhookUrl: process.env.PAYMENT_WEBHOOK_URL || `${apiUrl}/api/v1/payments/webhook`,
+    confirmDelayMs: Number.parseInt(process.env.FAKE_PAYMENT_DELAY_MS) || 2000,
+  })
+}
+
+/**
+ * Payment Service Layer
+ * Takes payments for orders through a pluggable provider. A provider is any
+ * object with a name and these methods:
+ *   async createIntent({ amount, currency, reference, paymentMethod }) -> { id, status, failureReason }
+ *     status is "requires_capture", "processing" (confirmed later by webhook) or "failed"
+ *   async capture(intentId) -> { id, status }
+ *   async refund(intentId, { amount }) -> { id, status }
+ *   verifyWebhook(rawBody, headers) -> { id, type, data: { intentId, ... } }, throwing on a bad signature
+ */
+class PaymentService {
+  constructor() {
+    this.provider = null
+  }
+
+  /**
+   * Replace the payment provider (e.g. with a real gateway)
+   * @param {Object} provider - Object implementing the provider interface
+   */
+  setProvider(provider) {
+    this.provider = provider
+  }
+
+  /**
+   * Get the configured provider, creating the default one on first use
+   * @returns {Object} - Payment provider
+   */
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createDefaultProvider()
+    }
+
+    return this.provider
+  }
+
+  /**
+   * Call the provider, reporting its failures as a bad gateway
+   * @param {string} method - Provider method
+   * @param {...*} args - Arguments for the method
+   * @returns {Promise<*>} - Provider result
+   */
+  async callProvider(method, ...args) {
+    try {
+      return await this.getProvider()[method](...args)
+    } catch (error) {
+      throw new AppError(`Payment provider error: ${error.message}`, 502)
+    }
+  }
+
+  /**
+   * Pay one of the user's pending orders
+   * Authorized payments are captured straight away; payments the provider
+   * confirms later leave the order pending until the webhook arrives.
+   * @param {string} userId - Buyer
+   * @param {string} orderId - Order ID
+   * @param {Object} data - { paymentMethod } as understood by the provider
+   * @returns {Promise<Object>} - { payment, order }
+   */
+  async payOrder(userId, orderId, { paymentMethod }) {
+    const order = await Order.findOne({ _id: orderId, user: userId })
+
+    if (!order) {
+      throw new AppError("Order not found", 404)
+    }
+    if (order.status !== "pending") {
+      throw new AppError(`Order is ${order.status} and cannot be paid`, 409)
+    }
+    if (order.paymentStatus === "processing") {
+      throw new AppError("A payment for this order is already being processed", 409)
+    }
+
+    const intent = await this.callProvider("createIntent", {
+      amount: order.total,
+      currency: order.currency,
+      reference: order.orderNumber,
+      paymentMethod,
+    })
+
+    const payment = await Payment.create({
+      order: order._id,
+      user: userId,
+      provider: this.getProvider().name,
+      intentId: intent.id,
+      amount: order.total,
+      currency: order.currency,
+      status: intent.status === "failed" ? "failed" : "processing",
+      failureReason: intent.failureReason,
+    })
+
+    if (intent.status === "failed") {
+      await Order.updateOne({ _id: order._id, status: "pending" }, { $set: { paymentStatus: "failed" } })
+      throw new AppError(`Payment declined: ${intent.failureReason}`, 402)
+    }
+
+    if (intent.status === "requires_capture") {
+      try {
+        await this.callProvider("capture", intent.id)
+      } catch (error) {
+        await this.markFailed(payment, error.message)
+        throw error
+      }
+
+      return await this.markSucceeded(payment)
+    }
+
+    await Order.updateOne({ _id: order._id, status: "pending" }, { $set: { paymentStatus: "processing" } })
+
+    return { payment, order: await Order.findById(order._id) }
+  }
+
+  /**
+   * Record a successful payment and mark its order paid
+   * Safe to call more than once (webhook redeliveries, capture + webhook).
+   * A payment that completes after its order was cancelled is refunded.
+   * @param {Object} payment - Payment document
+   * @returns {Promise<Object>} - { payment, order }
+   */
+  async markSucceeded(payment) {
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: "processing" },
+      { $set: { status: "succeeded", succeededAt: new Date() } },
+      { new: true },
+    )
+
+    // Already applied
+    if (!updated) {
+      return { payment: await Payment.findById(payment._id), order: await Order.findById(payment.order) }
+    }
+
+    const order = await Order.findById(payment.order)
+
+    if (order.status !== "pending") {
+      return { payment: await this.refundPayment(updated), order }
+    }
+
+    return {
+      payment: updated,
+      order: await changeOrderStatusService(order, "paid", {
+        note: `Paid with ${updated.provider} (${updated.intentId})`,
+      }),
+    }
+  }
+
+  /**
+   * Record a failed payment; the order stays pending so it can be paid again
+   * @param {Object} payment - Payment document
+   * @param {string} [reason] - Failure reason from the provider
+   * @returns {Promise<void>}
+   */
+  async markFailed(payment, reason) {
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: "processing" },
+      { $set: { status: "failed", failureReason: reason } },
+    )
+
+    if (updated) {
+      await Order.updateOne(
+        { _id: payment.order, status: "pending" },
+        { $set: { paymentStatus: "failed" } },
+      )
+    }
+  }
+
+  /**
+   * Give a successful payment back through the provider
+   * @param {Object} payment - Payment document with status succeeded
+   * @returns {Promise<Object>} - Updated payment
+   */
+  async refundPayment(payment) {
+    const refund = await this.callProvider("refund", payment.intentId, { amount: payment.amount })
+
+    return await Payment.findOneAndUpdate(
+      { _id: payment._id, status: "succeeded" },
+      { $set: { status: "refunded", refundId: refund.id, refundedAt: new Date() } },
+      { new: true },
+    )
+  }
+
+  /**
+   * Refund an order: the money first, then the order status (and stock)
+   * Orders marked paid without a payment (e.g. bank transfer) only change status.
+   * @param {Object} order - Order document
+   * @param {Object} [options] - { actor, note, restock } passed on to the status change
+   * @returns {Promise<Object>} - Updated order
+   */
+  async refundOrder(order, options = {}) {
+    const error = order.transitionError("refunded")
+    if (error) {
+      throw new AppError(error, 409)
+    }
+
+    const payment = await Payment.findOne({ order: order._id, status: "succeeded" })
+    if (payment) {
+      await this.refundPayment(payment)
+    }
+
+    return await changeOrderStatusService(order, "refunded", options)
+  }
+
+  /**
+   * Record a refund made at the provider (e.g. from its dashboard)
+   * @param {Object} payment - Payment document
+   * @param {string} [refundId] - Provider's refund id
+   * @returns {Promise<void>}
+   */
+  async markRefunded(payment, refundId) {
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: "succeeded" },
+      { $set: { status: "refunded", refundId, refundedAt: new Date() } },
+    )
+    if (!updated) return
+
+    const order = await Order.findById(payment.order)
+    if (order && !order.transitionError("refunded")) {
+      await changeOrderStatusService(order, "refunded", { note: "Refunded at the payment provider" })
+    }
+  }
+
+  /**
+   * Apply a signed webhook event from the provider
+   * Events are applied at most once per payment; redeliveries are
+   * acknowledged without doing anything.
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>} - { duplicate }
+   */
+  async handleWebhook(rawBody, headers) {
+    let event
+    try {
+      event = this.getProvider().verifyWebhook(rawBody || Buffer.alloc(0), headers)
+    } catch (error) {
+      throw new AppError(error.message, 400)
+    }
+
+    const payment = await Payment.findOne({
+      provider: this.getProvider().name,
+      intentId: event.data && event.data.intentId,
+    }).select("+processedEvents")
+
+    // Answer with an error so the provider retries once the payment is saved
+    if (!payment) {
+      throw new AppError("Payment not found", 404)
+    }
+
+    if (payment.processedEvents.includes(event.id)) {
+      return { duplicate: true }
+    }
+
+    switch (event.type) {
+      case "payment_intent.succeeded":
+        await this.markSucceeded(payment)
+        break
+      case "payment_intent.failed":
+        await this.markFailed(payment, event.data.failureReason)
+        break
+      case "charge.refunded":
+        await this.markRefunded(payment, event.data.refundId)
+        break
+      default:
+        // Other event types are not used
+        break
+    }
+
+    await Payment.updateOne({ _id: payment._id }, { $addToSet: { processedEvents: event.id } })
+
+    return { duplicate: false }
+  }
+}
+
+module.exports = new PaymentService()
@@ -1,4 +1,126 @@
 const Product = require("../models/Product");
+const User = require("../models/User");
+const Category = require("../models/Category");
+const AppError = require("../utils/appError");
+const {
+  toSortObject,
+  encodeCursor,
+  buildCursorFilter,
+  escapeRegex,
+} = require("../utils/pagination");
+const {
+  parseListQuery,
+  parseFields,
+  parseExpand,
+  resolveExpand,
+} = require("../utils/queryParser");
+const roleService = require("./roleService");
+const { IN_STOCK } = require("./inventoryService");
+const storageService = require("./storageService");
+
+// What the product list may be filtered, sorted and shaped by
+const PRODUCT_QUERY = {
+  filters: {
+    name: "string",
+    category: "objectId",
+    price: "number",
+    quantity: "number",
+    ratingAverage: "number",
+    ratingCount: "number",
+    user: "objectId",
+    createdAt: "date",
+    updatedAt: "date",
+  },
+  sortable: ["name", "price", "ratingAverage", "ratingCount", "createdAt", "updatedAt"],
+  selectable: [
+    "name",
+    "description",
+    "price",
+    "imageUrl",
+    "images",
+    "category",
+    "quantity",
+    "reserved",
+    "lowStockThreshold",
+    "ratingAverage",
+    "ratingCount",
+    "user",
+    "createdAt",
+    "updatedAt",
+  ],
+  defaultSort: "-createdAt",
+  aliases: {
+    minPrice: ["price", "gte"],
+    maxPrice: ["price", "lte"],
+    minRating: ["ratingAverage", "gte"],
+    createdFrom: ["createdAt", "gte"],
+    createdTo: ["createdAt", "lte"],
+  },
+  // Handled by the service, stock is compared against reservations
+  reserved: ["inStock"],
+  // Owners are bare ids unless expanded; emails need user:read
+  expand: {
+    category: { select: "name slug" },
+    user: {
+      select: "name",
+      grants: [{ permission: "user:read", select: "name email" }],
+    },
+  },
+};
+
+/**
+ * Build the permission check used to resolve expansions for a reader
+ * Anonymous readers only get the public field lists
+ */
+const viewerCan = ({ user, scopes } = {}) => async (permission) =>
+  Boolean(user) && roleService.hasPermission(user, permission, undefined, scopes);
+
+/**
+ * Apply fields= and expand= to a product query
+ * Expanded relationships are always selected so they can be populated
+ */
+const applyProjection = (productsQuery, select, populate, extraFields = []) => {
+  if (select) {
+    const fields = [
+      select,
+      ...populate.map(({ path }) => path),
+      ...extraFields,
+    ];
+    productsQuery.select([...new Set(fields.join(" ").split(" "))].join(" "));
+  }
+
+  populate.forEach((options) => productsQuery.populate(options));
+  return productsQuery;
+};
+
+/**
+ * Widen a category filter to whole subtrees: category=, [eq] and [in] match
+ * the named categories and their subcategories, [ne] and [nin] exclude them
+ * @param {(string|Object)} condition - Condition built by parseListQuery
+ * @returns {Promise<Object>} - { $in } and/or { $nin } over the subtrees
+ */
+const withSubcategories = async (condition) => {
+  const subtree = async (ids) => {
+    const descendants = await Category.find({ ancestors: { $in: ids } }).distinct("_id");
+    return [...ids, ...descendants].map(String);
+  };
+
+  if (typeof condition === "string") return { $in: await subtree([condition]) };
+
+  const widened = {};
+  for (const [operator, value] of Object.entries(condition)) {
+    const ids = await subtree(Array.isArray(value) ? value : [value]);
+
+    if (operator === "$eq" || operator === "$in") {
+      // Several positive conditions must all hold
+      widened.$in = widened.$in ? widened.$in.filter((id) => ids.includes(id)) : ids;
+    } else {
+      widened.$nin = [...(widened.$nin || []), ...ids];
+    }
+  }
+
+  return widened;
+};
 
 /**
  * Create a new product
@@ -9,7 +131,6 @@ const createProductService = async ({
   description,
   imageUrl,
   category,
-  subcategory,
   userId,
 }) => {
   return await Product.create({
@@ -18,18 +139,92 @@ const createProductService = async ({
     description,
     imageUrl,
     category,
-    subcategory,
     user: userId,
   });
 };
 
 /**
  * Get all products
+ * Offset pagination (page) by default; cursor pagination when a cursor is
+ * given or pagination=cursor, which stays stable while products are added
+ * @param {Object} query - List query (see PRODUCT_QUERY for what it accepts)
+ * @param {Object} [viewer] - Reader ({ user, scopes }), decides what expand= reveals
  */
-const getAllProductsService = async (filter = {}) => {
-  return await Product.find(filter).populate("user", "name email");
-};
+const getAllProductsService = async (query = {}, viewer = {}) => {
+  const { page = 1, limit = 10, cursor, pagination, search } = query;
 
+  const { filter, sortFields, select, expand } = parseListQuery(query, PRODUCT_QUERY);
+  const populate = await resolveExpand(expand, PRODUCT_QUERY.expand, viewerCan(viewer));
+  const pageSize = Number.parseInt(limit);
+
+  if (query.inStock !== undefined) {
+    filter.$expr =
+      String(query.inStock).toLowerCase() === "true" ? IN_STOCK : { $not: [IN_STOCK] };
+  }
+
+  // A category also matches the products filed under its subcategories
+  if (filter.category !== undefined) {
+    filter.category = await withSubcategories(filter.category);
+  }
+
+  if (search) {
+    const pattern = escapeRegex(search);
+    filter.$or = [
+      { name: { $regex: pattern, $options: "i" } },
+      { description: { $regex: pattern, $options: "i" } },
+    ];
+  }
+
+  if (cursor || pagination === "cursor") {
+    const cursorQuery = cursor
+      ? { $and: [filter, buildCursorFilter(cursor, sortFields)] }
+      : filter;
+
+    // Fetch one extra product to know whether there is a next page;
+    // sort fields have to be loaded to build the next cursor
+    const products = await applyProjection(
+      Product.find(cursorQuery).sort(toSortObject(sortFields)).limit(pageSize + 1),
+      select,
+      populate,
+      sortFields.map(({ field }) => field)
+    );
+
+    const hasNext = products.length > pageSize;
+    if (hasNext) products.pop();
+
+    return {
+      products,
+      pagination: {
+        limit: pageSize,
+        nextCursor: hasNext
+          ? encodeCursor(products[products.length - 1], sortFields)
+          : null,
+        hasNext,
+      },
+    };
+  }
+
+  const skip = (page - 1) * pageSize;
+
+  const products = await applyProjection(
+    Product.find(filter).sort(toSortObject(sortFields)).skip(skip).limit(pageSize),
+    select,
+    populate
+  );
+
+  const total = await Product.countDocuments(filter);
+
+  return {
+    products,
+    pagination: {
+      currentPage: Number.parseInt(page),
+      totalPages: Math.ceil(total / pageSize),
+      totalProducts: total,
+      hasNext: page * pageSize < total,
+      hasPrev: page > 1,
+    },
+  };
+};
 
 /**
  * Get a product by ID
@@ -38,43 +233,185 @@ const getProductByIdService = async (id) => {
   return await Product.findById(id);
 };
 
+/**
+ * Get a product by ID for display, honouring fields= and expand=
+ * @param {string} id - Product ID
+ * @param {Object} [query] - { fields, expand }
+ * @param {Object} [viewer] - Reader ({ user, scopes }), decides what expand= reveals
+ */
+const getProductDetailsService = async (id, query = {}, viewer = {}) => {
+  const select = parseFields(query.fields, PRODUCT_QUERY.selectable);
+  const expand = parseExpand(query.expand, PRODUCT_QUERY.expand);
+  const populate = await resolveExpand(expand, PRODUCT_QUERY.expand, viewerCan(viewer));
+
+  return await applyProjection(Product.findById(id), select, populate);
+};
+
 /**
  * Update product by ID
+ * Authorization is enforced by the authorize("product:update") middleware
  */
-const updateProductService = async (id, updatedFields, currentUser) => {
+const updateProductService = async (id, updatedFields) => {
   const product = await Product.findById(id);
   if (!product) return null;
 
-  // Allow only owner or admin to update
-  if (product.user.toString() !== currentUser._id.toString() && currentUser.role !== "admin") {
-    throw new Error("Not authorized");
-  }
-
   Object.assign(product, updatedFields);
   await product.save();
   return product;
 };
 
 /**
- * Delete product by ID
+ * Delete product by ID (moves it to the trash)
+ * Authorization is enforced by the authorize("product:delete") middleware
  */
-const deleteProductService = async (id, currentUser) => {
+const deleteProductService = async (id, userId) => {
   const product = await Product.findById(id);
   if (!product) return null;
 
-  // Allow only owner or admin to delete
-  if (product.user.toString() !== currentUser._id.toString() && currentUser.role !== "admin") {
-    throw new Error("Not authorized");
+  await product.softDelete(userId);
+  return true;
+};
+
+/**
+ * Get deleted products (trash)
+ */
+const getDeletedProductsService = async ({ page = 1, limit = 10 } = {}) => {
+  const skip = (page - 1) * limit;
+
+  const products = await Product.find()
+    .onlyDeleted()
+    .sort("-deletedAt")
+    .skip(skip)
+    .limit(Number.parseInt(limit))
+    .populate({ path: "deletedBy", select: "name email", options: { withDeleted: true } });
+
+  const total = await Product.countDocuments().onlyDeleted();
+
+  return {
+    products,
+    pagination: {
+      currentPage: Number.parseInt(page),
+      totalPages: Math.ceil(total / limit),
+      totalProducts: total,
+      hasNext: page * limit < total,
+      hasPrev: page > 1,
+    },
+  };
+};
+
+/**
+ * Restore a deleted product
+ * Products of a deleted owner are restored together with the owner
+ */
+const restoreProductService = async (id) => {
+  const product = await Product.findOne({ _id: id }).onlyDeleted();
+  if (!product) return null;
+
+  const ownerExists = await User.exists({ _id: product.user });
+  if (!ownerExists) {
+    throw new AppError("The owner of this product is deleted. Restore the user first.", 409);
   }
 
-  await product.deleteOne();
-  return true;
+  await product.restore();
+  return product;
+};
+
+/**
+ * Store uploaded images and append them to the product
+ * Files are removed again if the product cannot be saved
+ * @param {Object} product - Product loaded by the authorize middleware
+ * @param {Object[]} files - Files checked by the uploadImages middleware
+ */
+const addProductImagesService = async (product, files) => {
+  const maxImages = Number.parseInt(process.env.MAX_PRODUCT_IMAGES) || 10;
+  const current = product.images ? product.images.length : 0;
+
+  if (current + files.length > maxImages) {
+    throw new AppError(
+      `A product can have at most ${maxImages} images (it has ${current})`,
+      400
+    );
+  }
+
+  const stored = [];
+  try {
+    for (const file of files) {
+      const { key, url } = await storageService.save({
+        buffer: file.buffer,
+        extension: file.imageType.extension,
+        folder: "products",
+      });
+      stored.push({
+        key,
+        url,
+        contentType: file.imageType.mimeType,
+        size: file.size,
+      });
+    }
+
+    if (!product.images) product.images = [];
+    product.images.push(...stored);
+    await product.save();
+  } catch (error) {
+    await storageService.removeAll(stored.map(({ key }) => key));
+    throw error;
+  }
+
+  return product.images;
+};
+
+/**
+ * Put the product images in a new order
+ * @param {Object} product - Product loaded by the authorize middleware
+ * @param {string[]} order - Every image id, in the new order
+ */
+const reorderProductImagesService = async (product, order) => {
+  const images = product.images || [];
+  const ids = images.map((image) => String(image._id));
+
+  if (order.length !== ids.length || !ids.every((id) => order.includes(id))) {
+    throw new AppError("The order must list every image of the product exactly once", 400);
+  }
+
+  product.images = order.map((id) => images.find((image) => String(image._id) === id));
+  await product.save();
+
+  return product.images;
+};
+
+/**
+ * Remove an image from the product and delete its file
+ * @param {Object} product - Product loaded by the authorize middleware
+ * @param {string} imageId - Image ID
+ */
+const deleteProductImageService = async (product, imageId) => {
+  const image = product.images && product.images.id(imageId);
+  if (!image) throw new AppError("Image not found", 404);
+
+  const { key, url } = image;
+  image.deleteOne();
+
+  // Without uploaded images left the main image would point at a deleted file
+  if (product.images.length === 0 && product.imageUrl === url) {
+    product.imageUrl = undefined;
+  }
+
+  await product.save();
+  await storageService.removeAll([key]);
+
+  return product.images;
 };
 
 module.exports = {
   createProductService,
   getAllProductsService,
   getProductByIdService,
+  getProductDetailsService,
   updateProductService,
   deleteProductService,
+  getDeletedProductsService,
+  restoreProductService,
+  addProductImagesService,
+  reorderProductImagesService,
+  deleteProductImageService,
 };
\ No newline at end of file
@@ -0,0 +1,252 @@
+const mongoose = require("mongoose");
+const Review = require("../models/Review");
+const Product = require("../models/Product");
+const AppError = require("../utils/appError");
+const { toSortObject } = require("../utils/pagination");
+const { parseListQuery } = require("../utils/queryParser");
+
+// What review lists may be filtered, sorted and shaped by
+const REVIEW_QUERY = {
+  filters: {
+    rating: "number",
+    status: "string",
+    user: "objectId",
+    product: "objectId",
+    createdAt: "date",
+  },
+  sortable: ["createdAt", "updatedAt", "rating"],
+  selectable: ["product", "user", "rating", "title", "body", "status", "moderatedBy", "moderatedAt", "moderationNote", "createdAt", "updatedAt"],
+  defaultSort: "-createdAt",
+};
+
+const EDITABLE_FIELDS = ["rating", "title", "body"];
+
+/**
+ * Recompute a product's ratingAverage and ratingCount from its approved reviews
+ * Recomputed from scratch rather than adjusted, so concurrent changes cannot
+ * leave the totals drifting.
+ * @param {string} productId - Product ID
+ */
+const syncProductRating = async (productId) => {
+  const [stats] = await Review.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: "approved" } },
+    { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+  ]);
+
+  await Product.updateOne(
+    { _id: productId },
+    {
+      $set: {
+        ratingAverage: stats ? Math.round(stats.average * 10) / 10 : 0,
+        ratingCount: stats ? stats.count : 0,
+      },
+    }
+  ).withDeleted();
+};
+
+/**
+ * Load a live product or fail with 404
+ */
+const findProduct = async (productId) => {
+  const product = await Product.findById(productId).select("user ratingAverage ratingCount");
+  if (!product) throw new AppError("Product not found", 404);
+  return product;
+};
+
+/**
+ * List the reviews of a product, newest first by default
+ * The public only sees approved reviews; moderators may filter by status.
+ * @param {string} productId - Product ID
+ * @param {Object} query - req.query (page, limit, sort, fields and REVIEW_QUERY filters)
+ * @param {Object} [options] - { moderator }
+ */
+const getProductReviewsService = async (productId, query = {}, { moderator = false } = {}) => {
+  const product = await findProduct(productId);
+  const result = await getReviewsService(query, { product: product._id, ...(!moderator && { status: "approved" }) });
+
+  return {
+    rating: { average: product.ratingAverage, count: product.ratingCount },
+    ...result,
+  };
+};
+
+/**
+ * List reviews across products (e.g. the moderation queue with status=pending)
+ * @param {Object} query - req.query (page, limit, sort, fields and REVIEW_QUERY filters)
+ * @param {Object} [scope] - Conditions the caller enforces
+ */
+const getReviewsService = async (query = {}, scope = {}) => {
+  const { page = 1, limit = 10 } = query;
+
+  const { filter, sortFields, select } = parseListQuery(query, REVIEW_QUERY);
+  const conditions = { ...filter, ...scope };
+
+  const skip = (page - 1) * limit;
+
+  const reviews = await Review.find(conditions)
+    .sort(toSortObject(sortFields))
+    .skip(skip)
+    .limit(Number.parseInt(limit))
+    .select(select)
+    .populate("user", "name");
+
+  const total = await Review.countDocuments(conditions);
+
+  return {
+    reviews,
+    pagination: {
+      currentPage: Number.parseInt(page),
+      totalPages: Math.ceil(total / limit),
+      totalReviews: total,
+      hasNext: page * limit < total,
+      hasPrev: page > 1,
+    },
+  };
+};
+
+/**
+ * Get a single review of a product
+ * Reviews that are not approved are only shown to their author and moderators.
+ * @param {string} productId - Product ID
+ * @param {string} reviewId - Review ID
+ * @param {Object} [viewer] - { userId, moderator }
+ */
+const getReviewService = async (productId, reviewId, { userId, moderator = false } = {}) => {
+  const review = await Review.findOne({ _id: reviewId, product: productId }).populate("user", "name");
+
+  const visible =
+    review &&
+    (review.status === "approved" || moderator || (userId && review.user && review.user._id.equals(userId)));
+  if (!visible) throw new AppError("Review not found", 404);
+
+  return review;
+};
+
+/**
+ * Review a product
+ * One review per user and product; sellers cannot review their own products.
+ * @param {string} productId - Product ID
+ * @param {string} userId - Author
+ * @param {Object} data - { rating, title, body }
+ */
+const createReviewService = async (productId, userId, { rating, title, body }) => {
+  const product = await findProduct(productId);
+  if (product.user.equals(userId)) throw new AppError("You cannot review your own product", 403);
+
+  if (await Review.exists({ product: product._id, user: userId })) {
+    throw new AppError("You have already reviewed this product. Edit your review instead.", 409);
+  }
+
+  let review;
+  try {
+    review = await Review.create({ product: product._id, user: userId, rating, title, body });
+  } catch (error) {
+    // Lost a race against a second request from the same user
+    if (error.code === 11000) throw new AppError("You have already reviewed this product", 409);
+    throw error;
+  }
+
+  if (review.status === "approved") await syncProductRating(product._id);
+  return review;
+};
+
+/**
+ * Find a review written by the user or fail with 404
+ */
+const findOwnReview = async (productId, reviewId, userId) => {
+  const review = await Review.findOne({ _id: reviewId, product: productId, user: userId });
+  if (!review) throw new AppError("Review not found", 404);
+  return review;
+};
+
+/**
+ * Edit one of the user's own reviews
+ * When reviews require approval an edited review goes back to the queue;
+ * a hidden review stays hidden.
+ * @param {string} productId - Product ID
+ * @param {string} reviewId - Review ID
+ * @param {string} userId - Author
+ * @param {Object} data - { rating, title, body }
+ */
+const updateReviewService = async (productId, reviewId, userId, data) => {
+  await findProduct(productId);
+  const review = await findOwnReview(productId, reviewId, userId);
+  const wasApproved = review.status === "approved";
+
+  EDITABLE_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) review[field] = data[field];
+  });
+
+  if (Review.REQUIRE_APPROVAL && review.status === "approved" && review.isModified()) {
+    review.status = "pending";
+  }
+
+  await review.save();
+
+  if (wasApproved) await syncProductRating(review.product);
+  return review;
+};
+
+/**
+ * Delete one of the user's own reviews
+ * @param {string} productId - Product ID
+ * @param {string} reviewId - Review ID
+ * @param {string} userId - Author
+ */
+const deleteReviewService = async (productId, reviewId, userId) => {
+  const review = await findOwnReview(productId, reviewId, userId);
+  await review.deleteOne();
+
+  if (review.status === "approved") await syncProductRating(review.product);
+  return true;
+};
+
+/**
+ * Approve or hide a review
+ * @param {string} productId - Product ID
+ * @param {string} reviewId - Review ID
+ * @param {Object} data - { status, note }
+ * @param {string} actorId - Moderator
+ */
+const moderateReviewService = async (productId, reviewId, { status, note }, actorId) => {
+  const review = await Review.findOne({ _id: reviewId, product: productId });
+  if (!review) throw new AppError("Review not found", 404);
+
+  const countedBefore = review.status === "approved";
+
+  review.status = status;
+  review.moderatedBy = actorId;
+  review.moderatedAt = new Date();
+  review.moderationNote = note;
+  await review.save();
+
+  if (countedBefore !== (status === "approved")) await syncProductRating(review.product);
+  return review;
+};
+
+/**
+ * Give products created before reviews existed empty rating totals, so they
+ * sort and page by rating like every other product
+ */
+const backfillProductRatings = async () => {
+  const { modifiedCount } = await Product.collection.updateMany(
+    { ratingAverage: { $exists: false } },
+    { $set: { ratingAverage: 0, ratingCount: 0 } }
+  );
+
+  if (modifiedCount > 0) {
+    console.log(`Initialised rating totals on ${modifiedCount} product(s)`);
+  }
+};
+
+module.exports = {
+  syncProductRating,
+  getProductReviewsService,
+  getReviewsService,
+  getReviewService,
+  createReviewService,
+  updateReviewService,
+  deleteReviewService,
+  moderateReviewService,
+  backfillProductRatings,
+};
@@ -0,0 +1,183 @@
+const Role = require("../models/Role")
+const User = require("../models/User")
+const AppError = require("../utils/appError")
+const { PERMISSIONS, DEFAULT_ROLES } = require("../config/permissions")
+
+/**
+ * Role Service Layer
+ * Resolves role permissions and performs permission checks
+ */
+class RoleService {
+  constructor() {
+    // Role name -> Set of permissions. Cleared whenever a role changes.
+    this.cache = new Map()
+  }
+
+  /**
+   * Create the built-in roles if they do not exist yet
+   * @returns {Promise<void>}
+   */
+  async ensureDefaultRoles() {
+    await Promise.all(
+      Object.entries(DEFAULT_ROLES)
+        .filter(([name]) => name !== "admin")
+        .map(([name, definition]) =>
+          Role.updateOne(
+            { name },
+            { $setOnInsert: { name, ...definition, isSystem: true } },
+            { upsert: true },
+          ),
+        ),
+    )
+
+    // Permissions added to the catalogue later are granted to admins automatically
+    await Role.updateOne(
+      { name: "admin" },
+      {
+        $set: { permissions: PERMISSIONS, isSystem: true },
+        $setOnInsert: { name: "admin", description: DEFAULT_ROLES.admin.description },
+      },
+      { upsert: true },
+    )
+
+    this.cache.clear()
+  }
+
+  /**
+   * Get the permissions granted to a role
+   * Falls back to the built-in definition if the role is not stored yet
+   * @param {string} roleName - Role name
+   * @returns {Promise<Set<string>>} - Granted permissions
+   */
+  async getPermissions(roleName) {
+    if (this.cache.has(roleName)) {
+      return this.cache.get(roleName)
+    }
+
+    const role = await Role.findOne({ name: roleName })
+    const permissions = new Set(role ? role.permissions : DEFAULT_ROLES[roleName]?.permissions || [])
+
+    this.cache.set(roleName, permissions)
+    return permissions
+  }
+
+  /**
+   * Check whether a user may perform an action
+   * "resource:action" is granted by the exact permission or its ":any" scope;
+   * the ":own" scope is granted when the user owns the given resource.
+   * @param {Object} user - Authenticated user
+   * @param {string} permission - Permission such as "product:update" or "category:create"
+   * @param {Object} [resource] - Target document (owner is read from its user field)
+   * @param {string[]} [scopes] - Further restricts the role's permissions (API keys)
+   * @returns {Promise<boolean>} - True if allowed
+   */
+  async hasPermission(user, permission, resource, scopes) {
+    const permissions = await this.getPermissions(user.role)
+    const granted = (p) => permissions.has(p) && (!scopes || scopes.includes(p))
+
+    if (granted(permission) || granted(`${permission}:any`)) {
+      return true
+    }
+
+    if (resource && granted(`${permission}:own`)) {
+      const owner = resource.user && (resource.user._id || resource.user)
+      return Boolean(owner) && owner.toString() === user._id.toString()
+    }
+
+    return false
+  }
+
+  /**
+   * Get all roles
+   * @returns {Promise<Object>} - Roles and the permission catalogue
+   */
+  async getAllRoles() {
+    const roles = await Role.find().sort("name")
+
+    return {
+      roles,
+      availablePermissions: PERMISSIONS,
+    }
+  }
+
+  /**
+   * Get a role by name
+   * @param {string} name - Role name
+   * @returns {Promise<Object>} - Role
+   */
+  async getRole(name) {
+    const role = await Role.findOne({ name })
+
+    if (!role) {
+      throw new AppError("Role not found", 404)
+    }
+
+    return role
+  }
+
+  /**
+   * Create a role
+   * @param {Object} roleData - Name, description and permissions
+   * @returns {Promise<Object>} - Created role
+   */
+  async createRole(roleData) {
+    const { name, description, permissions } = roleData
+
+    const existingRole = await Role.findOne({ name })
+    if (existingRole) {
+      throw new AppError("Role already exists", 409)
+    }
+
+    const role = await Role.create({ name, description, permissions })
+    this.cache.delete(role.name)
+
+    return role
+  }
+
+  /**
+   * Update description and permissions of a role
+   * @param {string} name - Role name
+   * @param {Object} updateData - Description and/or permissions
+   * @returns {Promise<Object>} - Updated role
+   */
+  async updateRole(name, updateData) {
+    const role = await this.getRole(name)
+
+    // The admin role always holds every permission (see ensureDefaultRoles)
+    if (role.name === "admin" && updateData.permissions !== undefined) {
+      throw new AppError("Permissions of the admin role cannot be changed", 400)
+    }
+
+    if (updateData.description !== undefined) role.description = updateData.description
+    if (updateData.permissions !== undefined) role.permissions = updateData.permissions
+
+    await role.save()
+    this.cache.delete(role.name)
+
+    return role
+  }
+
+  /**
+   * Delete a role that is not built-in and not assigned to anybody
+   * @param {string} name - Role name
+   * @returns {Promise<void>}
+   */
+  async deleteRole(name) {
+    const role = await this.getRole(name)
+
+    if (role.isSystem) {
+      throw new AppError("Built-in roles cannot be deleted", 400)
+    }
+
+    // Users in the trash count too: restoring one must not leave a dangling role
+    const assignedUsers = await User.countDocuments({ role: role.name }).withDeleted()
+    if (assignedUsers > 0) {
+      throw new AppError(`Role is assigned to ${assignedUsers} user(s) and cannot be deleted`, 409)
+    }
+
+    await role.deleteOne()
+    this.cache.delete(role.name)
+  }
+}
+
+module.exports = new RoleService()
@@ -0,0 +1,47 @@
+const Session = require("../models/Session")
+const tokenService = require("./tokenService")
+const AppError = require("../utils/appError")
+
+/**
+ * Session Service Layer
+ * Lets users see and end their logged in devices
+ */
+class SessionService {
+  /**
+   * List active sessions of a user
+   * @param {string} userId - User ID
+   * @param {string} [currentSessionId] - Session of the current request, flagged as current
+   * @returns {Promise<Array>} - Active sessions, most recently used first
+   */
+  async getSessions(userId, currentSessionId) {
+    const sessions = await Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort("-lastSeenAt")
+
+    return sessions.map((session) => ({
+      ...session.toObject(),
+      current: session._id.toString() === currentSessionId,
+    }))
+  }
+
+  /**
+   * Revoke one session of a user
+   * Its refresh tokens stop working and its access tokens are rejected by protect
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  async revokeSession(userId, sessionId) {
+    const session = await Session.findOne({ _id: sessionId, user: userId, revokedAt: null })
+
+    if (!session) {
+      throw new AppError("Session not found", 404)
+    }
+
+    await tokenService.revokeFamily(session._id.toString())
+  }
+}
+
+module.exports = new SessionService()
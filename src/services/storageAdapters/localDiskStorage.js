@@ -0,0 +1,61 @@
+const crypto = require("crypto")
+const fs = require("fs/promises")
+const path = require("path")
+
+/**
+ * Local disk storage adapter
+ * Stores files below rootDir; server.js serves that directory with
+ * express.static at publicPath.
+ * @param {string} rootDir - Directory the files are written to
+ * @param {string} publicPath - URL path the directory is served under
+ * @returns {Object} - Adapter implementing save(file), remove(key) and url(key)
+ */
+const createLocalDiskStorage = (rootDir, publicPath) => {
+  const root = path.resolve(rootDir)
+
+  // Keys come from the database; never let one point outside the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key)
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`)
+    }
+    return filePath
+  }
+
+  return {
+    name: "local",
+    rootDir: root,
+    publicPath,
+
+    async save({ buffer, extension, folder = "" }) {
+      const now = new Date()
+      const key = path.posix.join(
+        folder,
+        String(now.getUTCFullYear()),
+        String(now.getUTCMonth() + 1).padStart(2, "0"),
+        `${crypto.randomBytes(16).toString("hex")}.${extension}`,
+      )
+
+      const filePath = resolveKey(key)
+      await fs.mkdir(path.dirname(filePath), { recursive: true })
+      await fs.writeFile(filePath, buffer, { flag: "wx" })
+
+      return { key, url: this.url(key) }
+    },
+
+    async remove(key) {
+      try {
+        await fs.unlink(resolveKey(key))
+      } catch (error) {
+        // Already gone is fine, the goal is for the file not to exist
+        if (error.code !== "ENOENT") throw error
+      }
+    },
+
+    url(key) {
+      return `${publicPath}/${key}`
+    },
+  }
+}
+
+module.exports = createLocalDiskStorage
@@ -0,0 +1,74 @@
+const path = require("path")
+const createLocalDiskStorage = require("./storageAdapters/localDiskStorage")
+
+/**
+ * Build the adapter selected by STORAGE_DRIVER (local disk by default)
+ * @returns {Object} - Storage adapter
+ */
+const createDefaultAdapter = () =>
+  createLocalDiskStorage(
+    process.env.UPLOAD_DIR || path.join(__dirname, "../../uploads"),
+    process.env.UPLOAD_URL_PATH || "/uploads",
+  )
+
+/**
+ * Storage Service Layer
+ * Stores uploaded files through a pluggable adapter. An adapter is any object
+ * with async save({ buffer, extension, folder }) -> { key, url },
+ * async remove(key) and url(key) methods.
+ */
+class StorageService {
+  constructor() {
+    this.adapter = null
+  }
+
+  /**
+   * Replace the storage adapter (e.g. with an S3-backed one)
+   * @param {Object} adapter - Object implementing save, remove and url
+   */
+  setAdapter(adapter) {
+    this.adapter = adapter
+  }
+
+  /**
+   * Get the configured adapter, creating the default one on first use
+   * @returns {Object} - Storage adapter
+   */
+  getAdapter() {
+    if (!this.adapter) {
+      if (process.env.STORAGE_DRIVER && process.env.STORAGE_DRIVER !== "local") {
+        throw new Error(`Unknown STORAGE_DRIVER "${process.env.STORAGE_DRIVER}"`)
+      }
+      this.adapter = createDefaultAdapter()
+    }
+
+    return this.adapter
+  }
+
+  /**
+   * Store a file
+   * @param {Object} file - { buffer, extension, folder }
+   * @returns {Promise<Object>} - Storage key and public URL
+   */
+  async save(file) {
+    return await this.getAdapter().save(file)
+  }
+
+  /**
+   * Delete stored files; failures are logged, not thrown, so cleanup never
+   * breaks the request or job that triggered it
+   * @param {string[]} keys - Storage keys
+   * @returns {Promise<void>}
+   */
+  async removeAll(keys) {
+    await Promise.all(
+      keys.map((key) =>
+        this.getAdapter()
+          .remove(key)
+          .catch((error) => console.error(`Failed to remove stored file ${key}:`, error.message)),
+      ),
+    )
+  }
+}
+
+module.exports = new StorageService()
@@ -0,0 +1,271 @@
+const jwt = require("jsonwebtoken")
+const mongoose = require("mongoose")
+const RefreshToken = require("../models/RefreshToken")
+const Session = require("../models/Session")
+const RevokedToken = require("../models/RevokedToken")
+const User = require("../models/User")
+const AppError = require("../utils/appError")
+const {
+  generateToken,
+  generateImpersonationToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+} = require("../utils/jwt")
+
+/**
+ * Token Service Layer
+ * Issues access/refresh token pairs and handles refresh token rotation.
+ * Every token pair belongs to a session; the session id is the refresh family.
+ */
+class TokenService {
+  /**
+   * Start a new session and issue its access token and refresh token
+   * @param {string} userId - User ID
+   * @param {Object} [context] - Request context (ip, userAgent) stored on the session
+   * @returns {Promise<Object>} - Access token and refresh token
+   */
+  async issueTokens(userId, context = {}) {
+    const sessionId = new mongoose.Types.ObjectId()
+    const family = sessionId.toString()
+    const { token: refreshToken, expiresAt } = await this.createRefreshToken(userId, family)
+
+    await Session.create({
+      _id: sessionId,
+      user: userId,
+      userAgent: context.userAgent,
+      ip: context.ip,
+      expiresAt,
+    })
+
+    return {
+      token: generateToken(userId, family),
+      refreshToken,
+      refreshTokenExpiresAt: expiresAt,
+    }
+  }
+
+  /**
+   * Start an impersonation session and issue its access token
+   * The session records who impersonated whom and why; it can be revoked
+   * like any other session but never gets a refresh token.
+   * @param {string} userId - Impersonated user ID
+   * @param {string} adminId - Admin performing the impersonation
+   * @param {string} reason - Justification recorded on the session
+   * @param {Object} [context] - Request context (ip, userAgent)
+   * @returns {Promise<Object>} - Access token, expiry and session id
+   */
+  async issueImpersonationToken(userId, adminId, reason, context = {}) {
+    const sessionId = new mongoose.Types.ObjectId()
+    const token = generateImpersonationToken(userId, sessionId.toString(), adminId.toString())
+    const expiresAt = new Date(jwt.decode(token).exp * 1000)
+
+    await Session.create({
+      _id: sessionId,
+      user: userId,
+      userAgent: context.userAgent,
+      ip: context.ip,
+      expiresAt,
+      impersonatedBy: adminId,
+      impersonationReason: reason,
+    })
+
+    return {
+      token,
+      expiresAt,
+      sessionId,
+      impersonation: true,
+    }
+  }
+
+  /**
+   * Sign a refresh token and persist it so it can be rotated later
+   * @param {string} userId - User ID
+   * @param {string} family - Rotation family
+   * @returns {Promise<Object>} - Signed token, jti and expiry
+   */
+  async createRefreshToken(userId, family) {
+    const refresh = generateRefreshToken(userId, family)
+
+    await RefreshToken.create({
+      jti: refresh.jti,
+      user: userId,
+      family,
+      expiresAt: refresh.expiresAt,
+    })
+
+    return refresh
+  }
+
+  /**
+   * Rotate a refresh token
+   * Each refresh token can be exchanged exactly once. Presenting a token that
+   * was already rotated or revoked is treated as theft and revokes the family.
+   * @param {string} refreshToken - Refresh token presented by the client
+   * @param {Object} [context] - Request context (ip) recorded on the session
+   * @returns {Promise<Object>} - New token pair
+   */
+  async rotateRefreshToken(refreshToken, context = {}) {
+    let decoded
+    try {
+      decoded = verifyRefreshToken(refreshToken)
+    } catch (error) {
+      throw new AppError("Invalid or expired refresh token", 401)
+    }
+
+    // Atomically claim the token so concurrent requests cannot both rotate it
+    const stored = await RefreshToken.findOneAndUpdate(
+      { jti: decoded.jti, usedAt: null, revokedAt: null },
+      { usedAt: new Date() },
+      { new: true },
+    )
+
+    if (!stored) {
+      const known = await RefreshToken.exists({ jti: decoded.jti })
+      if (known) {
+        await this.revokeFamily(decoded.family)
+        throw new AppError("Refresh token reuse detected. Please log in again.", 401)
+      }
+      throw new AppError("Invalid or expired refresh token", 401)
+    }
+
+    const user = await User.findById(stored.user)
+    if (!user || !user.isActive || this.isIssuedBeforeCutoff(decoded, user)) {
+      await this.revokeFamily(stored.family)
+      throw new AppError("Refresh token has been revoked", 401)
+    }
+
+    // Families created before sessions existed have no session to check
+    const hasSession = mongoose.isValidObjectId(stored.family)
+    if (hasSession && !(await Session.exists({ _id: stored.family, revokedAt: null }))) {
+      await this.revokeFamily(stored.family)
+      throw new AppError("Session has been revoked", 401)
+    }
+
+    const refresh = await this.createRefreshToken(user._id, stored.family)
+
+    stored.replacedBy = refresh.jti
+    await stored.save()
+
+    if (hasSession) {
+      await Session.updateOne(
+        { _id: stored.family },
+        { lastSeenAt: new Date(), expiresAt: refresh.expiresAt, ...(context.ip && { ip: context.ip }) },
+      )
+    }
+
+    return {
+      token: generateToken(user._id, hasSession ? stored.family : undefined),
+      refreshToken: refresh.token,
+      refreshTokenExpiresAt: refresh.expiresAt,
+    }
+  }
+
+  /**
+   * Revoke every refresh token in a rotation family and its session
+   * @param {string} family - Rotation family (session id)
+   * @returns {Promise<void>}
+   */
+  async revokeFamily(family) {
+    await RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: new Date() })
+
+    if (mongoose.isValidObjectId(family)) {
+      await Session.updateOne({ _id: family, revokedAt: null }, { revokedAt: new Date() })
+    }
+  }
+
+  /**
+   * Revoke the refresh token family a refresh token belongs to
+   * Invalid or expired tokens are ignored since they cannot be used anyway
+   * @param {string} refreshToken - Refresh token presented by the client
+   * @param {string} userId - Owner the token must belong to
+   * @returns {Promise<void>}
+   */
+  async revokeRefreshToken(refreshToken, userId) {
+    let decoded
+    try {
+      decoded = verifyRefreshToken(refreshToken)
+    } catch (error) {
+      return
+    }
+
+    if (decoded.userId.toString() !== userId.toString()) return
+
+    await this.revokeFamily(decoded.family)
+  }
+
+  /**
+   * Add an access token to the denylist until it expires
+   * @param {Object} decoded - Decoded access token payload
+   * @returns {Promise<void>}
+   */
+  async revokeAccessToken(decoded) {
+    // Tokens issued before jti support can only be revoked per user
+    if (!decoded.jti) return
+
+    await RevokedToken.updateOne(
+      { jti: decoded.jti },
+      { $setOnInsert: { user: decoded.userId, expiresAt: new Date(decoded.exp * 1000) } },
+      { upsert: true },
+    )
+  }
+
+  /**
+   * Invalidate every token issued to a user so far
+   * Used for "log out all devices", password changes and deactivation
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async revokeAllForUser(userId) {
+    await User.findByIdAndUpdate(userId, { tokensValidAfter: new Date() })
+    await RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() })
+    await Session.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() })
+  }
+
+  /**
+   * Check whether an access token has been revoked
+   * @param {Object} decoded - Decoded access token payload
+   * @param {Object} user - Token owner
+   * @returns {Promise<boolean>} - True if the token must be rejected
+   */
+  async isAccessTokenRevoked(decoded, user) {
+    if (this.isIssuedBeforeCutoff(decoded, user)) return true
+
+    if (decoded.sid && !(await this.touchSession(decoded.sid))) return true
+
+    if (!decoded.jti) return false
+
+    return Boolean(await RevokedToken.exists({ jti: decoded.jti }))
+  }
+
+  /**
+   * Check that a session is still active and record activity on it
+   * lastSeenAt is only written once a minute to keep requests cheap
+   * @param {string} sessionId - Session ID from the "sid" claim
+   * @returns {Promise<boolean>} - False if the session was revoked or no longer exists
+   */
+  async touchSession(sessionId) {
+    const session = await Session.findById(sessionId).select("revokedAt lastSeenAt")
+    if (!session || session.revokedAt) return false
+
+    if (!session.lastSeenAt || Date.now() - session.lastSeenAt.getTime() > 60 * 1000) {
+      await Session.updateOne({ _id: sessionId }, { lastSeenAt: new Date() })
+    }
+
+    return true
+  }
+
+  /**
+   * Check a token's issue time against the user's "tokens valid after" timestamp
+   * JWT iat has second precision, so the cutoff is compared in whole seconds
+   * @param {Object} decoded - Decoded token payload
+   * @param {Object} user - Token owner
+   * @returns {boolean} - True if the token was issued before the cutoff
+   */
+  isIssuedBeforeCutoff(decoded, user) {
+    if (!user.tokensValidAfter) return false
+
+    return decoded.iat < Math.floor(user.tokensValidAfter.getTime() / 1000)
+  }
+}
+
+module.exports = new TokenService()
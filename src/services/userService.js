@@ -1,5 +1,34 @@
 const User = require("../models/User")
-const { generateToken } = require("../utils/jwt")
+const LoginAttempt = require("../models/LoginAttempt")
+const AuditLog = require("../models/AuditLog")
+const Product = require("../models/Product")
+const { generateMfaToken, verifyMfaToken } = require("../utils/jwt")
+const tokenService = require("./tokenService")
+const mfaService = require("./mfaService")
+const roleService = require("./roleService")
+const mailService = require("./mailService")
+const { mergeGuestCartService } = require("./cartService")
+const AppError = require("../utils/appError")
+const { getContext } = require("../utils/requestContext")
+const { toSortObject, escapeRegex } = require("../utils/pagination")
+const { parseListQuery, parseFields } = require("../utils/queryParser")
+
+// What the user list may be filtered, sorted and shaped by (never secrets)
+const USER_QUERY = {
+  filters: {
+    name: "string",
+    email: "string",
+    role: "string",
+    isActive: "boolean",
+    isEmailVerified: "boolean",
+    mfaEnabled: "boolean",
+    lastLogin: "date",
+    createdAt: "date",
+  },
+  sortable: ["name", "email", "role", "lastLogin", "createdAt"],
+  selectable: ["name", "email", "role", "isActive", "isEmailVerified", "mfaEnabled", "lastLogin", "createdAt", "updatedAt"],
+  defaultSort: "-createdAt",
+}
 
 /**
  * User Service Layer
@@ -9,70 +38,401 @@ class UserService {
   /**
    * Register a new user
    * @param {Object} userData - User registration data
-   * @returns {Promise<Object>} - Created user and token
+   * @param {Object} [context] - Request context (ip, userAgent) for the new session
+   * @returns {Promise<Object>} - Created user and tokens
    */
-  async registerUser(userData) {
+  async registerUser(userData, context = {}) {
     const { name, email, password } = userData
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email })
+    // Check if user already exists (deleted accounts keep their email until purged)
+    const existingUser = await User.findOne({ email: email.toLowerCase() }).withDeleted()
     if (existingUser) {
       throw new Error("User already exists with this email")
     }
 
     // Create new user
-    const user = await User.create({
+    const user = new User({
       name,
       email,
       password,
     })
+    const verificationToken = user.createEmailVerificationToken()
+    await user.save()
+
+    await this.deliverVerificationEmail(user, verificationToken)
 
-    // Generate token
-    const token = generateToken(user._id)
+    // Generate access and refresh tokens
+    const tokens = await tokenService.issueTokens(user._id, context)
 
     return {
       user: user.toSafeObject(),
-      token,
+      ...tokens,
     }
   }
 
+  /**
+   * Send the verification email without failing the calling request
+   * The user can always ask for a new link via the resend endpoint
+   * @param {Object} user - Recipient
+   * @param {string} verificationToken - Plain verification token
+   * @returns {Promise<void>}
+   */
+  async deliverVerificationEmail(user, verificationToken) {
+    try {
+      await mailService.sendVerificationEmail(user, verificationToken)
+    } catch (error) {
+      console.error("Failed to send verification email:", error.message)
+    }
+  }
+
+  /**
+   * Verify email address with a token from the verification email
+   * @param {string} verificationToken - Plain verification token
+   * @returns {Promise<Object>} - Verified user
+   */
+  async verifyEmail(verificationToken) {
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: User.hashToken(verificationToken),
+        emailVerificationExpires: { $gt: new Date() },
+      },
+      {
+        $set: { isEmailVerified: true },
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 },
+      },
+      { new: true },
+    )
+
+    if (!user) {
+      throw new AppError("Email verification token is invalid or has expired", 400)
+    }
+
+    return user.toSafeObject()
+  }
+
+  /**
+   * Send a new verification email to the logged in user
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async resendVerificationEmail(userId) {
+    const user = await User.findById(userId)
+
+    if (!user) {
+      throw new AppError("User not found", 404)
+    }
+
+    if (user.isEmailVerified) {
+      throw new AppError("Email address is already verified", 400)
+    }
+
+    const verificationToken = user.createEmailVerificationToken()
+    await user.save({ validateBeforeSave: false })
+
+    await mailService.sendVerificationEmail(user, verificationToken)
+  }
+
   /**
    * Authenticate user login
+   * Users with MFA (or whose role requires it) get an "MFA pending" token
+   * instead of access tokens until the second factor is verified
    * @param {Object} loginData - User login credentials
-   * @returns {Promise<Object>} - User and token
+   * @param {Object} [context] - Request context (ip, userAgent) for login history
+   * @returns {Promise<Object>} - User and tokens, or MFA challenge
    */
-  async loginUser(loginData) {
+  async loginUser(loginData, context = {}) {
     const { email, password } = loginData
 
     // Find user and include password for comparison
-    const user = await User.findOne({ email }).select("+password")
+    const user = await User.findOne({ email: email.toLowerCase() }).select("+password")
 
     if (!user) {
-      throw new Error("Invalid email or password")
+      await this.recordLoginAttempt(null, "invalid_credentials", { ...context, email })
+      throw new AppError("Invalid email or password", 401)
     }
 
     // Check if user is active
     if (!user.isActive) {
-      throw new Error("Account is deactivated")
+      await this.recordLoginAttempt(user, "deactivated", context)
+      throw new AppError("Account is deactivated", 401)
     }
 
+    // Refuse to even check the password while the account is locked
+    await this.assertNotLocked(user, context)
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password)
     if (!isPasswordValid) {
-      throw new Error("Invalid email or password")
+      await this.handleFailedLogin(user, "invalid_credentials", context)
+      throw new AppError("Invalid email or password", 401)
+    }
+
+    if (user.passwordResetRequired) {
+      throw new AppError("A password reset is required. Check your email for instructions.", 403)
+    }
+
+    if (user.mfaEnabled || mfaService.isRequiredForRole(user.role)) {
+      return {
+        mfaRequired: true,
+        mfaSetupRequired: !user.mfaEnabled,
+        mfaToken: generateMfaToken(user._id),
+      }
+    }
+
+    return await this.completeLogin(user, context)
+  }
+
+  /**
+   * Throw a lockout error if the account is currently locked
+   * @param {Object} user - User document
+   * @param {Object} context - Request context for login history
+   * @returns {Promise<void>}
+   */
+  async assertNotLocked(user, context) {
+    if (!user.isLocked) return
+
+    await this.recordLoginAttempt(user, "locked", context)
+
+    const minutesLeft = Math.ceil((user.lockUntil - Date.now()) / 60000)
+    const error = new AppError(
+      `Account is temporarily locked due to too many failed login attempts. Try again in ${minutesLeft} minute(s).`,
+      423,
+    )
+    error.lockUntil = user.lockUntil
+    throw error
+  }
+
+  /**
+   * Count a failed login and tell the user if it locked the account
+   * @param {Object} user - User document
+   * @param {string} reason - Failure reason for login history
+   * @param {Object} context - Request context for login history
+   * @returns {Promise<void>}
+   */
+  async handleFailedLogin(user, reason, context) {
+    await user.registerFailedLogin()
+    await this.recordLoginAttempt(user, reason, context)
+
+    if (user.isLocked) {
+      await this.assertNotLocked(user, context)
     }
+  }
+
+  /**
+   * Store an entry in the login history
+   * @param {Object|null} user - User document (null for unknown emails)
+   * @param {string} reason - Outcome of the attempt
+   * @param {Object} context - Request context (ip, userAgent, email)
+   * @returns {Promise<void>}
+   */
+  async recordLoginAttempt(user, reason, context = {}) {
+    await LoginAttempt.create({
+      user: user ? user._id : undefined,
+      email: user ? user.email : context.email,
+      success: reason === "success",
+      reason,
+      ip: context.ip,
+      userAgent: context.userAgent,
+    })
+  }
 
-    // Update last login
+  /**
+   * Finish a login: record it, issue tokens and take over the guest cart
+   * @param {Object} user - Authenticated user document
+   * @param {Object} [context] - Request context (login history, guest cart token)
+   * @returns {Promise<Object>} - User and tokens (plus the merged cart)
+   */
+  async completeLogin(user, context = {}) {
+    // Update last login and clear failed attempts
     user.lastLogin = new Date()
+    user.resetLoginAttempts()
     await user.save()
 
-    // Generate token
-    const token = generateToken(user._id)
+    await this.recordLoginAttempt(user, "success", context)
+
+    // Generate access and refresh tokens for a new session
+    const tokens = await tokenService.issueTokens(user._id, context)
+
+    // A failed merge leaves the guest cart in place and must not block the login
+    const cart = context.cartToken
+      ? await mergeGuestCartService(user._id, context.cartToken).catch((error) => {
+          console.error("Failed to merge guest cart:", error.message)
+          return null
+        })
+      : null
 
     return {
       user: user.toSafeObject(),
-      token,
+      ...tokens,
+      ...(cart && { cart }),
+    }
+  }
+
+  /**
+   * Resolve the user behind an "MFA pending" token
+   * @param {string} mfaToken - MFA pending token from loginUser
+   * @returns {Promise<Object>} - User document including MFA fields
+   */
+  async getMfaPendingUser(mfaToken) {
+    let decoded
+    try {
+      decoded = verifyMfaToken(mfaToken)
+    } catch (error) {
+      throw new AppError("MFA session is invalid or has expired. Please log in again.", 401)
+    }
+
+    const user = await User.findById(decoded.userId).select("+mfaSecret +mfaBackupCodes +mfaLastUsedStep")
+
+    if (!user || !user.isActive) {
+      throw new AppError("MFA session is invalid or has expired. Please log in again.", 401)
     }
+
+    return user
+  }
+
+  /**
+   * Start mandatory MFA enrollment during login
+   * Only for users whose role requires MFA and who have not enrolled yet
+   * @param {string} mfaToken - MFA pending token from loginUser
+   * @returns {Promise<Object>} - Secret and otpauth URI
+   */
+  async startLoginMfaSetup(mfaToken) {
+    const user = await this.getMfaPendingUser(mfaToken)
+
+    if (user.mfaEnabled) {
+      throw new AppError("Two-factor authentication is already enabled", 400)
+    }
+
+    return await mfaService.startSetup(user._id)
+  }
+
+  /**
+   * Second login step: verify the MFA code and issue tokens
+   * Also completes mandatory enrollment started with startLoginMfaSetup
+   * @param {string} mfaToken - MFA pending token from loginUser
+   * @param {string} code - TOTP or backup code
+   * @param {Object} [context] - Request context for login history
+   * @returns {Promise<Object>} - User and tokens (plus backup codes on enrollment)
+   */
+  async verifyLoginMfa(mfaToken, code, context = {}) {
+    const user = await this.getMfaPendingUser(mfaToken)
+
+    await this.assertNotLocked(user, context)
+
+    if (!user.mfaEnabled) {
+      if (!mfaService.isRequiredForRole(user.role)) {
+        throw new AppError("Two-factor authentication is not enabled", 400)
+      }
+
+      // Wrong enrollment codes count towards the lockout like any other
+      // failed second factor, so the secret cannot be guessed at leisure
+      let backupCodes
+      try {
+        backupCodes = await mfaService.enable(user._id, code)
+      } catch (error) {
+        if (error.statusCode === 401) await this.handleFailedLogin(user, "invalid_mfa_code", context)
+        throw error
+      }
+
+      const result = await this.completeLogin(await User.findById(user._id), context)
+
+      return { ...result, backupCodes }
+    }
+
+    if (!(await mfaService.verifySecondFactor(user, code))) {
+      await this.handleFailedLogin(user, "invalid_mfa_code", context)
+      throw new AppError("Invalid authentication code", 401)
+    }
+
+    return await this.completeLogin(user, context)
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * @param {string} refreshToken - Refresh token issued at login or a previous refresh
+   * @param {Object} [context] - Request context (ip) recorded on the session
+   * @returns {Promise<Object>} - New access and refresh tokens
+   */
+  async refreshTokens(refreshToken, context = {}) {
+    return await tokenService.rotateRefreshToken(refreshToken, context)
+  }
+
+  /**
+   * Logout user from the current device
+   * Revokes the presented access token, its session and, if provided, the refresh token family
+   * @param {Object} user - Authenticated user
+   * @param {Object} decodedToken - Decoded access token payload
+   * @param {string} [refreshToken] - Refresh token held by the client
+   * @returns {Promise<void>}
+   */
+  async logoutUser(user, decodedToken, refreshToken) {
+    await tokenService.revokeAccessToken(decodedToken)
+
+    if (decodedToken.sid) {
+      await tokenService.revokeFamily(decodedToken.sid)
+    }
+
+    if (refreshToken) {
+      await tokenService.revokeRefreshToken(refreshToken, user._id)
+    }
+  }
+
+  /**
+   * Logout user from all devices
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async logoutAllDevices(userId) {
+    await tokenService.revokeAllForUser(userId)
+  }
+
+  /**
+   * Get login history of a user
+   * @param {string} userId - User ID
+   * @param {Object} options - Query options (page, limit)
+   * @returns {Promise<Object>} - Login attempts with pagination
+   */
+  async getLoginHistory(userId, options = {}) {
+    const { page = 1, limit = 20 } = options
+
+    const skip = (page - 1) * limit
+
+    const attempts = await LoginAttempt.find({ user: userId })
+      .sort("-createdAt")
+      .skip(skip)
+      .limit(Number.parseInt(limit))
+      .select("-user -email")
+
+    const total = await LoginAttempt.countDocuments({ user: userId })
+
+    return {
+      attempts,
+      pagination: {
+        currentPage: Number.parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalAttempts: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1,
+      },
+    }
+  }
+
+  /**
+   * Unlock an account locked by failed logins (user:update)
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Updated user
+   */
+  async unlockUser(userId) {
+    const user = await User.findById(userId)
+
+    if (!user) {
+      throw new AppError("User not found", 404)
+    }
+
+    user.resetLoginAttempts()
+    await user.save({ validateBeforeSave: false })
+
+    return user.toSafeObject()
   }
 
   /**
@@ -114,37 +474,144 @@ class UserService {
     })
 
     // Check if email is being updated and if it's already taken
-    if (updates.email && updates.email !== user.email) {
-      const existingUser = await User.findOne({ email: updates.email })
+    const emailChanged = updates.email && updates.email.toLowerCase() !== user.email
+    if (emailChanged) {
+      const existingUser = await User.findOne({ email: updates.email.toLowerCase() }).withDeleted()
       if (existingUser) {
         throw new Error("Email already in use")
       }
     }
 
-    const updatedUser = await User.findByIdAndUpdate(userId, updates, { new: true, runValidators: true })
+    Object.assign(user, updates)
+
+    // A changed email address has to be verified again
+    let verificationToken
+    if (emailChanged) {
+      user.isEmailVerified = false
+      verificationToken = user.createEmailVerificationToken()
+    }
+
+    await user.save()
+
+    if (verificationToken) {
+      await this.deliverVerificationEmail(user, verificationToken)
+    }
 
-    return updatedUser.toSafeObject()
+    return user.toSafeObject()
   }
 
   /**
-   * Get all users (admin only)
-   * @param {Object} options - Query options (page, limit, sort)
+   * Change password of the logged in user
+   * All previously issued tokens are revoked and a fresh pair is returned
+   * @param {string} userId - User ID
+   * @param {Object} passwordData - Current and new password
+   * @param {Object} [context] - Request context (ip, userAgent) for the new session
+   * @returns {Promise<Object>} - New access and refresh tokens
+   */
+  async changePassword(userId, passwordData, context = {}) {
+    const { currentPassword, newPassword } = passwordData
+
+    const user = await User.findById(userId).select("+password")
+
+    if (!user) {
+      throw new AppError("User not found", 404)
+    }
+
+    const isPasswordValid = await user.comparePassword(currentPassword)
+    if (!isPasswordValid) {
+      throw new AppError("Current password is incorrect", 401)
+    }
+
+    user.password = newPassword
+    await user.save()
+
+    await tokenService.revokeAllForUser(user._id)
+
+    return await tokenService.issueTokens(user._id, context)
+  }
+
+  /**
+   * Start the forgot password flow
+   * Silently does nothing for unknown emails, and mail failures are only
+   * logged, so the response never reveals whether an account exists
+   * @param {string} email - Account email
+   * @returns {Promise<void>}
+   */
+  async forgotPassword(email) {
+    const user = await User.findOne({ email: email.toLowerCase() })
+
+    if (!user || !user.isActive) return
+
+    const resetToken = user.createPasswordResetToken()
+    await user.save({ validateBeforeSave: false })
+
+    try {
+      await mailService.sendPasswordResetEmail(user, resetToken)
+    } catch (error) {
+      user.passwordResetToken = undefined
+      user.passwordResetExpires = undefined
+      await user.save({ validateBeforeSave: false })
+
+      console.error("Failed to send password reset email:", error.message)
+    }
+  }
+
+  /**
+   * Reset password with a token from the reset email
+   * @param {string} resetToken - Plain reset token
+   * @param {string} password - New password
+   * @returns {Promise<void>}
+   */
+  async resetPassword(resetToken, password) {
+    // Clear the token in the same atomic step that looks it up so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: User.hashToken(resetToken),
+        passwordResetExpires: { $gt: new Date() },
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+    )
+
+    if (!user) {
+      throw new AppError("Password reset token is invalid or has expired", 400)
+    }
+
+    user.password = password
+    user.passwordResetRequired = false
+    await user.save()
+
+    await tokenService.revokeAllForUser(user._id)
+  }
+
+  /**
+   * Get all users (user:read)
+   * @param {Object} query - List query (page, limit, sort, fields, search and USER_QUERY filters)
    * @returns {Promise<Object>} - Users list with pagination
    */
-  async getAllUsers(options = {}) {
-    const { page = 1, limit = 10, sort = "-createdAt", search = "" } = options
+  async getAllUsers(query = {}) {
+    const { page = 1, limit = 10, search = "" } = query
+
+    const { filter, sortFields, select } = parseListQuery(query, USER_QUERY)
 
     const skip = (page - 1) * limit
 
     // Build search query
     const searchQuery = search
       ? {
-          $or: [{ name: { $regex: search, $options: "i" } }, { email: { $regex: search, $options: "i" } }],
+          ...filter,
+          $or: [
+            { name: { $regex: escapeRegex(search), $options: "i" } },
+            { email: { $regex: escapeRegex(search), $options: "i" } },
+          ],
         }
-      : {}
+      : filter
 
     // Get users with pagination
-    const users = await User.find(searchQuery).sort(sort).skip(skip).limit(Number.parseInt(limit)).select("-password")
+    const users = await User.find(searchQuery)
+      .sort(toSortObject(sortFields))
+      .skip(skip)
+      .limit(Number.parseInt(limit))
+      .select(select || "-password")
 
     const total = await User.countDocuments(searchQuery)
 
@@ -161,18 +628,264 @@ class UserService {
   }
 
   /**
-   * Delete user account
+   * Get a single user (user:read)
+   * @param {string} userId - User ID
+   * @param {Object} [query] - Optional fields= sparse fieldset
+   * @returns {Promise<Object>} - User
+   */
+  async getUserById(userId, query = {}) {
+    const user = await User.findById(userId).select(parseFields(query.fields, USER_QUERY.selectable))
+
+    if (!user) {
+      throw new AppError("User not found", 404)
+    }
+
+    return user.toSafeObject()
+  }
+
+  /**
+   * Activate a deactivated user account (user:update)
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Updated user
+   */
+  async activateUser(userId) {
+    const user = await User.findById(userId)
+
+    if (!user) {
+      throw new AppError("User not found", 404)
+    }
+
+    user.isActive = true
+    await user.save({ validateBeforeSave: false })
+
+    return user.toSafeObject()
+  }
+
+  /**
+   * Deactivate a user account (user:update)
+   * @param {string} userId - User ID
+   * @param {Object} currentUser - User performing the change
+   * @returns {Promise<Object>} - Updated user
+   */
+  async deactivateUser(userId, currentUser) {
+    const user = await User.findById(userId)
+
+    if (!user) {
+      throw new AppError("User not found", 404)
+    }
+
+    if (user._id.toString() === currentUser._id.toString()) {
+      throw new AppError("You cannot deactivate your own account", 400)
+    }
+
+    user.isActive = false
+    await user.save({ validateBeforeSave: false })
+
+    // Make sure already issued tokens stop working immediately
+    await tokenService.revokeAllForUser(userId)
+
+    return user.toSafeObject()
+  }
+
+  /**
+   * Force a user to choose a new password (user:update)
+   * Logs the user out everywhere, blocks login and emails a reset link
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Updated user
+   */
+  async forcePasswordReset(userId) {
+    const user = await User.findById(userId)
+
+    if (!user) {
+      throw new AppError("User not found", 404)
+    }
+
+    const resetToken = user.createPasswordResetToken()
+    user.passwordResetRequired = true
+    await user.save({ validateBeforeSave: false })
+
+    await tokenService.revokeAllForUser(user._id)
+
+    try {
+      await mailService.sendPasswordResetEmail(user, resetToken)
+    } catch (error) {
+      // The flag stays set; the user can still request a new link via forgot-password
+      console.error("Failed to send forced password reset email:", error.message)
+    }
+
+    return user.toSafeObject()
+  }
+
+  /**
+   * Impersonate a user (user:impersonate)
+   * Issues a short-lived access token marked with the admin's id. Every
+   * impersonation is stored as a session of the target user with the reason,
+   * and recorded in the audit log.
+   * @param {string} userId - User to impersonate
+   * @param {Object} admin - Admin performing the impersonation
+   * @param {string} reason - Justification for the audit trail
+   * @param {Object} [context] - Request context (ip, userAgent)
+   * @returns {Promise<Object>} - Impersonated user and impersonation token
+   */
+  async impersonateUser(userId, admin, reason, context = {}) {
+    const user = await User.findById(userId)
+
+    if (!user) {
+      throw new AppError("User not found", 404)
+    }
+
+    if (user._id.toString() === admin._id.toString()) {
+      throw new AppError("You cannot impersonate yourself", 400)
+    }
+
+    if (!user.isActive) {
+      throw new AppError("Cannot impersonate a deactivated user", 400)
+    }
+
+    // Impersonation must never be a way to gain more privileges
+    if (await roleService.hasPermission(user, "role:manage")) {
+      throw new AppError("Users who can manage roles cannot be impersonated", 403)
+    }
+
+    const impersonation = await tokenService.issueImpersonationToken(user._id, admin._id, reason, context)
+
+    await AuditLog.create({
+      actor: admin._id,
+      action: "impersonate",
+      entity: "User",
+      entityId: user._id,
+      changes: {
+        after: { reason, sessionId: impersonation.sessionId, expiresAt: impersonation.expiresAt },
+      },
+      ip: context.ip,
+      userAgent: context.userAgent,
+      requestId: getContext().requestId,
+    })
+
+    return {
+      user: user.toSafeObject(),
+      ...impersonation,
+    }
+  }
+
+  /**
+   * Assign a role to a user
+   * @param {string} userId - User ID
+   * @param {string} roleName - Name of an existing role
+   * @param {Object} currentUser - User performing the change
+   * @returns {Promise<Object>} - Updated user
+   */
+  async changeUserRole(userId, roleName, currentUser) {
+    const user = await User.findById(userId)
+
+    if (!user) {
+      throw new AppError("User not found", 404)
+    }
+
+    if (user._id.toString() === currentUser._id.toString()) {
+      throw new AppError("You cannot change your own role", 400)
+    }
+
+    // Role names are stored lowercase; validation does not rewrite the body
+    const role = await roleService.getRole(String(roleName).trim().toLowerCase())
+
+    user.role = role.name
+    await user.save({ validateBeforeSave: false })
+
+    return user.toSafeObject()
+  }
+
+  /**
+   * Delete user account (moves it and its products to the trash)
    * @param {string} userId - User ID
+   * @param {Object} currentUser - User performing the deletion
    * @returns {Promise<void>}
    */
-  async deleteUser(userId) {
+  async deleteUser(userId, currentUser) {
     const user = await User.findById(userId)
 
     if (!user) {
-      throw new Error("User not found")
+      throw new AppError("User not found", 404)
+    }
+
+    if (user._id.toString() === currentUser._id.toString()) {
+      throw new AppError("You cannot delete your own account", 400)
+    }
+
+    // Products share the deletion time so a restore brings back exactly these
+    const deletedAt = new Date()
+    await user.softDelete(currentUser._id, deletedAt)
+    await Product.updateMany({ user: user._id }, { deletedAt, deletedBy: currentUser._id })
+
+    await tokenService.revokeAllForUser(userId)
+  }
+
+  /**
+   * Get deleted users (trash)
+   * @param {Object} options - Query options (page, limit)
+   * @returns {Promise<Object>} - Deleted users with pagination
+   */
+  async getDeletedUsers(options = {}) {
+    const { page = 1, limit = 10 } = options
+
+    const skip = (page - 1) * limit
+
+    const users = await User.find()
+      .onlyDeleted()
+      .sort("-deletedAt")
+      .skip(skip)
+      .limit(Number.parseInt(limit))
+      .populate({ path: "deletedBy", select: "name email", options: { withDeleted: true } })
+
+    const total = await User.countDocuments().onlyDeleted()
+
+    return {
+      users,
+      pagination: {
+        currentPage: Number.parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalUsers: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1,
+      },
+    }
+  }
+
+  /**
+   * Restore a deleted user and the products deleted along with it
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Restored user
+   */
+  async restoreUser(userId) {
+    const user = await User.findOne({ _id: userId }).onlyDeleted()
+
+    if (!user) {
+      throw new AppError("Deleted user not found", 404)
+    }
+
+    const { deletedAt } = user
+    await user.restore()
+    await Product.updateMany({ user: user._id, deletedAt }, { deletedAt: null, deletedBy: null }).withDeleted()
+
+    return user.toSafeObject()
+  }
+
+  /**
+   * Treat accounts created before email verification existed as verified, so
+   * they keep the access they had (e.g. creating products)
+   * @returns {Promise<number>} - Number of accounts updated
+   */
+  async backfillEmailVerification() {
+    const { modifiedCount } = await User.collection.updateMany(
+      { isEmailVerified: { $exists: false } },
+      { $set: { isEmailVerified: true } },
+    )
+
+    if (modifiedCount > 0) {
+      console.log(`Marked ${modifiedCount} existing account(s) as verified`)
     }
 
-    await User.findByIdAndDelete(userId)
+    return modifiedCount
   }
 }
 
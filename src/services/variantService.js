@@ -0,0 +1,149 @@
+const Product = require("../models/Product");
+const AppError = require("../utils/appError");
+const { adjustStock, runStockTransaction } = require("./inventoryService");
+
+/**
+ * Find a variant of a product or fail with 404
+ */
+const findVariant = (product, variantId) => {
+  const variant = product.variants && product.variants.id(variantId);
+  if (!variant) throw new AppError("Variant not found", 404);
+  return variant;
+};
+
+/**
+ * Reject a SKU used by another variant anywhere in the catalogue
+ */
+const assertSkuAvailable = async (sku, excludeVariantId) => {
+  const taken = await Product.exists({
+    variants: {
+      $elemMatch: {
+        sku: sku.toUpperCase(),
+        ...(excludeVariantId && { _id: { $ne: excludeVariantId } }),
+      },
+    },
+  }).withDeleted();
+
+  if (taken) throw new AppError(`SKU ${sku.toUpperCase()} is already in use`, 409);
+};
+
+/**
+ * Get the variants of a product
+ * Inactive variants are only listed for readers who manage the product
+ * @param {Object} product - Product
+ * @param {Object} [options] - { includeInactive }
+ */
+const getVariantsService = (product, { includeInactive = false } = {}) => {
+  const variants = (product.variants || []).filter(
+    (variant) => includeInactive || variant.isActive
+  );
+
+  return { options: product.options || [], variants };
+};
+
+/**
+ * Get a single variant of a product
+ * @param {Object} product - Product
+ * @param {string} variantId - Variant ID
+ * @param {Object} [options] - { includeInactive }
+ */
+const getVariantService = (product, variantId, { includeInactive = false } = {}) => {
+  const variant = findVariant(product, variantId);
+  if (!variant.isActive && !includeInactive) throw new AppError("Variant not found", 404);
+  return variant;
+};
+
+/**
+ * Add a variant to a product
+ * Opening stock is recorded in the stock ledger like any other change
+ * @param {Object} product - Product loaded by the authorize middleware
+ * @param {Object} data - { sku, options, price, imageUrl, isActive, quantity }
+ * @param {string} actorId - User adding the variant
+ */
+const createVariantService = async (product, data, actorId) => {
+  const { sku, options, price, imageUrl, isActive } = data;
+
+  // Request validation does not convert the body, so "5" arrives as a string
+  const quantity = data.quantity === undefined ? 0 : Number(data.quantity);
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    throw new AppError("Quantity must be a whole number of 0 or more", 400);
+  }
+
+  if (!product.options || product.options.length === 0) {
+    throw new AppError("Define the product options before adding variants", 400);
+  }
+
+  await assertSkuAvailable(sku);
+
+  if (!product.variants) product.variants = [];
+  product.variants.push({ sku, options, price, imageUrl, isActive });
+  const variant = product.variants[product.variants.length - 1];
+
+  if (quantity === 0) {
+    await product.save();
+    return variant;
+  }
+
+  // The variant and its opening stock are written together or not at all
+  return await runStockTransaction(async (session) => {
+    await product.save({ session });
+    const state = await adjustStock(product._id, quantity, {
+      variant: variant._id,
+      actor: actorId,
+      reason: "Initial stock",
+      session,
+    });
+    return state.variant;
+  });
+};
+
+/**
+ * Update a variant's SKU, options, price override, image or availability
+ * Stock is changed through the stock endpoints only
+ * @param {Object} product - Product loaded by the authorize middleware
+ * @param {string} variantId - Variant ID
+ * @param {Object} data - Fields to change; price null removes the override
+ */
+const updateVariantService = async (product, variantId, data) => {
+  const variant = findVariant(product, variantId);
+  const { sku, options, price, imageUrl, isActive } = data;
+
+  if (sku !== undefined && sku.toUpperCase() !== variant.sku) {
+    await assertSkuAvailable(sku, variant._id);
+    variant.sku = sku;
+  }
+  if (options !== undefined) variant.options = options;
+  if (price !== undefined) variant.price = price === null ? undefined : price;
+  if (imageUrl !== undefined) variant.imageUrl = imageUrl;
+  if (isActive !== undefined) variant.isActive = isActive;
+
+  await product.save();
+  return variant;
+};
+
+/**
+ * Remove a variant that has no reserved stock
+ * @param {Object} product - Product loaded by the authorize middleware
+ * @param {string} variantId - Variant ID
+ */
+const deleteVariantService = async (product, variantId) => {
+  const variant = findVariant(product, variantId);
+
+  if (variant.reserved > 0) {
+    throw new AppError(
+      `Variant has ${variant.reserved} reserved unit(s). Release them or deactivate the variant instead.`,
+      409
+    );
+  }
+
+  variant.deleteOne();
+  await product.save();
+};
+
+module.exports = {
+  getVariantsService,
+  getVariantService,
+  createVariantService,
+  updateVariantService,
+  deleteVariantService,
+};
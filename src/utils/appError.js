@@ -0,0 +1,18 @@
+/**
+ * Operational error carrying an HTTP status code
+ * Picked up by the global error handler to set the response status
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Error message sent to the client
+   * @param {number} statusCode - HTTP status code (default: 400)
+   */
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "AppError"
+    this.statusCode = statusCode
+    Error.captureStackTrace(this, this.constructor)
+  }
+}
+
+module.exports = AppError
@@ -1,15 +1,40 @@
+const crypto = require("crypto")
 const jwt = require("jsonwebtoken")
 
+const TOKEN_OPTIONS = {
+  issuer: "nodejs-rest-api",
+  audience: "api-users",
+}
+
 /**
- * Generate JWT token
+ * Generate JWT access token (short-lived)
  * @param {string} userId - User ID to encode in token
+ * @param {string} [sessionId] - Session the token belongs to
+ * @returns {string} - JWT token
+ */
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, {
+    ...TOKEN_OPTIONS,
+    expiresIn: process.env.JWT_EXPIRE || "15m",
+    jwtid: crypto.randomUUID(),
+  })
+}
+
+/**
+ * Generate impersonation access token
+ * Carries an "impersonatedBy" claim so every request made with it is
+ * recognisable as an admin acting on behalf of the user. No refresh token
+ * is ever issued for impersonation.
+ * @param {string} userId - Impersonated user ID
+ * @param {string} sessionId - Impersonation session
+ * @param {string} adminId - Admin performing the impersonation
  * @returns {string} - JWT token
  */
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || "7d",
-    issuer: "nodejs-rest-api",
-    audience: "api-users",
+const generateImpersonationToken = (userId, sessionId, adminId) => {
+  return jwt.sign({ userId, sid: sessionId, impersonatedBy: adminId }, process.env.JWT_SECRET, {
+    ...TOKEN_OPTIONS,
+    expiresIn: process.env.JWT_IMPERSONATION_EXPIRE || "15m",
+    jwtid: crypto.randomUUID(),
   })
 }
 
@@ -19,24 +44,88 @@ const generateToken = (userId) => {
  * @returns {Object} - Decoded token payload
  */
 const verifyToken = (token) => {
-  return jwt.verify(token, process.env.JWT_SECRET)
+  const decoded = jwt.verify(token, process.env.JWT_SECRET, TOKEN_OPTIONS)
+
+  // Refresh and MFA pending tokens must never be accepted as access tokens
+  if (decoded.type) {
+    throw new jwt.JsonWebTokenError("invalid token type")
+  }
+
+  return decoded
 }
 
 /**
  * Generate refresh token (longer expiry)
  * @param {string} userId - User ID to encode in token
- * @returns {string} - Refresh token
+ * @param {string} family - Rotation family the token belongs to
+ * @returns {{ token: string, jti: string, expiresAt: Date }} - Refresh token and its metadata
+ */
+const generateRefreshToken = (userId, family) => {
+  const jti = crypto.randomUUID()
+  const token = jwt.sign({ userId, type: "refresh", family }, process.env.JWT_SECRET, {
+    ...TOKEN_OPTIONS,
+    expiresIn: process.env.JWT_REFRESH_EXPIRE || "30d",
+    jwtid: jti,
+  })
+
+  const { exp } = jwt.decode(token)
+
+  return {
+    token,
+    jti,
+    expiresAt: new Date(exp * 1000),
+  }
+}
+
+/**
+ * Verify refresh token
+ * @param {string} token - Refresh token to verify
+ * @returns {Object} - Decoded token payload
+ */
+const verifyRefreshToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET, TOKEN_OPTIONS)
+
+  if (decoded.type !== "refresh") {
+    throw new jwt.JsonWebTokenError("invalid token type")
+  }
+
+  return decoded
+}
+
+/**
+ * Generate short-lived "MFA pending" token
+ * Issued after a correct password when a second factor is still required
+ * @param {string} userId - User ID to encode in token
+ * @returns {string} - MFA pending token
  */
-const generateRefreshToken = (userId) => {
-  return jwt.sign({ userId, type: "refresh" }, process.env.JWT_SECRET, {
-    expiresIn: "30d",
-    issuer: "nodejs-rest-api",
-    audience: "api-users",
+const generateMfaToken = (userId) => {
+  return jwt.sign({ userId, type: "mfa" }, process.env.JWT_SECRET, {
+    ...TOKEN_OPTIONS,
+    expiresIn: process.env.JWT_MFA_EXPIRE || "5m",
   })
 }
 
+/**
+ * Verify "MFA pending" token
+ * @param {string} token - MFA pending token to verify
+ * @returns {Object} - Decoded token payload
+ */
+const verifyMfaToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET, TOKEN_OPTIONS)
+
+  if (decoded.type !== "mfa") {
+    throw new jwt.JsonWebTokenError("invalid token type")
+  }
+
+  return decoded
+}
+
 module.exports = {
   generateToken,
+  generateImpersonationToken,
   verifyToken,
   generateRefreshToken,
+  verifyRefreshToken,
+  generateMfaToken,
+  verifyMfaToken,
 }
@@ -0,0 +1,125 @@
+const AppError = require("./appError")
+
+/**
+ * Parse a sort string such as "-price,name" against a whitelist
+ * An _id tie-breaker is always appended so ordering is stable for paging
+ * @param {string} sort - Comma separated fields, "-" prefix for descending
+ * @param {string[]} allowedFields - Fields that may be sorted on
+ * @param {string} [defaultSort] - Used when sort is empty (default: "-createdAt")
+ * @returns {Array<{ field: string, direction: number }>} - Parsed sort fields
+ */
+const parseSort = (sort, allowedFields, defaultSort = "-createdAt") => {
+  const fields = String(sort || defaultSort)
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const field = part.replace(/^[-+]/, "")
+      if (!allowedFields.includes(field)) {
+        throw new AppError(`Cannot sort by "${field}". Allowed: ${allowedFields.join(", ")}`, 400)
+      }
+      return { field, direction: part.startsWith("-") ? -1 : 1 }
+    })
+
+  if (!fields.some(({ field }) => field === "_id")) {
+    fields.push({ field: "_id", direction: fields.length > 0 ? fields[fields.length - 1].direction : 1 })
+  }
+
+  return fields
+}
+
+/**
+ * Convert parsed sort fields to a mongoose sort object
+ * @param {Array<{ field: string, direction: number }>} sortFields - Parsed sort fields
+ * @returns {Object} - Sort specification
+ */
+const toSortObject = (sortFields) =>
+  sortFields.reduce((sortObject, { field, direction }) => ({ ...sortObject, [field]: direction }), {})
+
+/**
+ * Encode the position after a document as an opaque cursor
+ * @param {Object} doc - Last document of the current page
+ * @param {Array<{ field: string }>} sortFields - Parsed sort fields
+ * @returns {string} - Base64url cursor
+ */
+const encodeCursor = (doc, sortFields) => {
+  const values = sortFields.map(({ field }) => {
+    const value = doc.get ? doc.get(field) : doc[field]
+    return value instanceof Date ? { $date: value.toISOString() } : value
+  })
+
+  return Buffer.from(JSON.stringify(values)).toString("base64url")
+}
+
+/**
+ * Decode a cursor into the sort values it points after
+ * @param {string} cursor - Cursor from a previous page
+ * @param {Array} sortFields - Parsed sort fields the cursor was created with
+ * @returns {Array} - Sort values
+ */
+const decodeCursor = (cursor, sortFields) => {
+  let values
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"))
+  } catch (error) {
+    throw new AppError("Invalid cursor", 400)
+  }
+
+  if (!Array.isArray(values) || values.length !== sortFields.length) {
+    throw new AppError("Invalid cursor. Cursors cannot be reused with a different sort.", 400)
+  }
+
+  // Values end up in the query as-is, so only plain scalars and the { $date }
+  // wrapper are accepted; anything else could smuggle in an operator
+  return values.map((value) => {
+    if (value === null || ["string", "number", "boolean"].includes(typeof value)) return value
+
+    const isDateWrapper =
+      typeof value === "object" &&
+      !Array.isArray(value) &&
+      Object.keys(value).length === 1 &&
+      typeof value.$date === "string"
+    const date = isDateWrapper ? new Date(value.$date) : null
+
+    if (!date || Number.isNaN(date.getTime())) throw new AppError("Invalid cursor", 400)
+    return date
+  })
+}
+
+/**
+ * Build the keyset filter selecting documents after a cursor
+ * For sort (a, b, _id) this is: a > x OR (a = x AND b > y) OR (a = x AND b = y AND _id > z)
+ * @param {string} cursor - Cursor from a previous page
+ * @param {Array<{ field: string, direction: number }>} sortFields - Parsed sort fields
+ * @returns {Object} - Mongo filter
+ */
+const buildCursorFilter = (cursor, sortFields) => {
+  const values = decodeCursor(cursor, sortFields)
+
+  const branches = sortFields.map(({ field, direction }, index) => {
+    const branch = {}
+    for (let i = 0; i < index; i++) {
+      branch[sortFields[i].field] = values[i]
+    }
+    branch[field] = { [direction === 1 ? "$gt" : "$lt"]: values[index] }
+    return branch
+  })
+
+  return { $or: branches }
+}
+
+/**
+ * Escape user input for use inside a regular expression
+ * @param {string} text - Raw search text
+ * @returns {string} - Escaped text
+ */
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+module.exports = {
+  parseSort,
+  toSortObject,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  escapeRegex,
+}
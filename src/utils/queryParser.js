@@ -0,0 +1,258 @@
+const mongoose = require("mongoose")
+const AppError = require("./appError")
+const { parseSort } = require("./pagination")
+
+// Query parameters that control paging and shaping rather than filtering
+const RESERVED_PARAMS = ["page", "limit", "cursor", "pagination", "sort", "fields", "expand", "search"]
+
+// Comparison operators accepted in field[op]=value, mapped to Mongo operators
+const OPERATORS = {
+  eq: "$eq",
+  ne: "$ne",
+  gt: "$gt",
+  gte: "$gte",
+  lt: "$lt",
+  lte: "$lte",
+  in: "$in",
+  nin: "$nin",
+}
+
+// Operators that only make sense for ordered types
+const RANGE_OPERATORS = ["gt", "gte", "lt", "lte"]
+
+/**
+ * Cast a raw query-string value to the type of a filterable field
+ * Only strings reach the query, so objects like { $ne: null } cannot be injected
+ * @param {*} value - Raw value from req.query
+ * @param {string} type - Field type (string, number, boolean, date, objectId)
+ * @param {string} field - Field name, for error messages
+ * @returns {*} - Cast value
+ */
+const castValue = (value, type, field) => {
+  if (typeof value !== "string") {
+    throw new AppError(`Invalid value for "${field}"`, 400)
+  }
+
+  switch (type) {
+    case "number": {
+      const number = Number(value)
+      if (value.trim() === "" || Number.isNaN(number)) {
+        throw new AppError(`"${field}" must be a number`, 400)
+      }
+      return number
+    }
+    case "boolean":
+      if (value !== "true" && value !== "false") {
+        throw new AppError(`"${field}" must be true or false`, 400)
+      }
+      return value === "true"
+    case "date": {
+      const date = new Date(value)
+      if (Number.isNaN(date.getTime())) {
+        throw new AppError(`"${field}" must be a valid date`, 400)
+      }
+      return date
+    }
+    case "objectId":
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new AppError(`"${field}" must be a valid id`, 400)
+      }
+      return value
+    default:
+      return value
+  }
+}
+
+/**
+ * Build the Mongo condition for one filterable field
+ * Accepts field=value, field=a&field=b (any of) and field[op]=value
+ * @param {string} field - Field name
+ * @param {*} raw - Raw value from req.query
+ * @param {string} type - Field type
+ * @returns {*} - Mongo condition
+ */
+const buildCondition = (field, raw, type) => {
+  if (Array.isArray(raw)) {
+    return { $in: raw.map((value) => castValue(value, type, field)) }
+  }
+
+  if (raw === null || typeof raw !== "object") {
+    return castValue(raw, type, field)
+  }
+
+  const condition = {}
+
+  for (const [operator, value] of Object.entries(raw)) {
+    if (!Object.prototype.hasOwnProperty.call(OPERATORS, operator)) {
+      throw new AppError(
+        `Unsupported operator "${operator}" on "${field}". Allowed: ${Object.keys(OPERATORS).join(", ")}`,
+        400,
+      )
+    }
+
+    if (RANGE_OPERATORS.includes(operator) && (type === "boolean" || type === "objectId")) {
+      throw new AppError(`Operator "${operator}" cannot be used on "${field}"`, 400)
+    }
+
+    if (operator === "in" || operator === "nin") {
+      const values = Array.isArray(value) ? value : String(value).split(",")
+      condition[OPERATORS[operator]] = values.map((item) => castValue(item, type, field))
+    } else {
+      condition[OPERATORS[operator]] = castValue(value, type, field)
+    }
+  }
+
+  return condition
+}
+
+/**
+ * Parse a "fields=name,price" projection against a whitelist
+ * @param {string} fields - Comma separated field names
+ * @param {string[]} allowedFields - Fields that may be selected
+ * @returns {string|undefined} - Mongoose select string, or undefined for the default projection
+ */
+const parseFields = (fields, allowedFields) => {
+  if (!fields) return undefined
+
+  const selected = String(fields)
+    .split(",")
+    .map((field) => field.trim())
+    .filter(Boolean)
+
+  for (const field of selected) {
+    if (!allowedFields.includes(field)) {
+      throw new AppError(`Cannot select "${field}". Allowed: ${allowedFields.join(", ")}`, 400)
+    }
+  }
+
+  return selected.length > 0 ? selected.join(" ") : undefined
+}
+
+/**
+ * Parse an "expand=user" list against the relationships a model exposes
+ * @param {string} expand - Comma separated relationship names
+ * @param {Object} [expansions] - Expandable relationships (see resolveExpand)
+ * @returns {string[]} - Relationship names to expand
+ */
+const parseExpand = (expand, expansions = {}) => {
+  if (!expand) return []
+
+  const names = [
+    ...new Set(
+      String(expand)
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean),
+    ),
+  ]
+  const allowed = Object.keys(expansions)
+
+  for (const name of names) {
+    if (!allowed.includes(name)) {
+      throw new AppError(
+        allowed.length > 0 ? `Cannot expand "${name}". Allowed: ${allowed.join(", ")}` : `Cannot expand "${name}"`,
+        400,
+      )
+    }
+  }
+
+  return names
+}
+
+/**
+ * Turn expanded relationship names into populate options for the caller
+ * Every expansion has a public field list; grants widen it for callers whose
+ * role has the given permission, e.g. owner emails only with user:read.
+ * @param {string[]} names - Names returned by parseExpand
+ * @param {Object} expansions - name -> { select, grants: [{ permission, select }] }
+ * @param {Function} can - async (permission) => boolean for the current caller
+ * @returns {Promise<Array<{ path: string, select: string }>>} - Populate options
+ */
+const resolveExpand = async (names, expansions, can) => {
+  const populate = []
+
+  for (const name of names) {
+    const { select, grants = [] } = expansions[name]
+    let fields = select
+
+    for (const grant of grants) {
+      if (await can(grant.permission)) {
+        fields = grant.select
+        break
+      }
+    }
+
+    populate.push({ path: name, select: fields })
+  }
+
+  return populate
+}
+
+/**
+ * Turn a list endpoint's query string into a safe Mongo query
+ * e.g. ?price[gte]=10&price[lt]=50&sort=-createdAt&fields=name,price
+ *
+ * Only whitelisted fields can be filtered, sorted or selected; everything
+ * else is rejected with a 400 rather than silently ignored.
+ * @param {Object} query - req.query
+ * @param {Object} config - Per-model whitelist
+ * @param {Object} config.filters - Filterable fields mapped to their type
+ * @param {string[]} config.sortable - Sortable fields
+ * @param {string[]} config.selectable - Fields allowed in fields=
+ * @param {Object} [config.expand] - Relationships allowed in expand= (see resolveExpand)
+ * @param {string} [config.defaultSort] - Sort used when none is given
+ * @param {Object} [config.aliases] - Shorthand params mapped to [field, operator], e.g. minPrice: ["price", "gte"]
+ * @param {string[]} [config.reserved] - Extra params handled by the caller
+ * @returns {{ filter: Object, sortFields: Array, select: (string|undefined), expand: string[] }}
+ */
+const parseListQuery = (query = {}, config) => {
+  const { filters, sortable, selectable, defaultSort, aliases = {}, reserved = [] } = config
+  const ignored = [...RESERVED_PARAMS, ...reserved]
+
+  const filter = {}
+
+  for (const [key, raw] of Object.entries(query)) {
+    if (ignored.includes(key) || raw === undefined || raw === "") continue
+
+    if (key.startsWith("$") || key.includes(".")) {
+      throw new AppError(`Invalid query parameter "${key}"`, 400)
+    }
+
+    let field = key
+    let value = raw
+
+    if (Object.prototype.hasOwnProperty.call(aliases, key)) {
+      const [aliasField, operator] = aliases[key]
+      field = aliasField
+      value = { [operator]: raw }
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(filters, field)) {
+      throw new AppError(`Cannot filter by "${key}". Allowed: ${Object.keys(filters).join(", ")}`, 400)
+    }
+
+    const condition = buildCondition(field, value, filters[field])
+
+    // Merge range conditions coming from both the alias and the bracket form
+    const current = filter[field]
+    filter[field] =
+      current && typeof current === "object" && !(current instanceof Date) && typeof condition === "object"
+        ? { ...current, ...condition }
+        : condition
+  }
+
+  return {
+    filter,
+    sortFields: parseSort(query.sort, sortable, defaultSort),
+    select: parseFields(query.fields, selectable),
+    expand: parseExpand(query.expand, config.expand),
+  }
+}
+
+module.exports = {
+  parseListQuery,
+  parseFields,
+  parseExpand,
+  resolveExpand,
+  OPERATORS,
+}
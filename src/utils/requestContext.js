@@ -0,0 +1,40 @@
+const { AsyncLocalStorage } = require("async_hooks")
+
+/**
+ * Per-request context shared with code that has no access to req
+ * (e.g. mongoose middleware writing audit logs)
+ */
+const storage = new AsyncLocalStorage()
+
+/**
+ * Run a function with a fresh request context
+ * @param {Object} context - Initial context (requestId, ip, userAgent)
+ * @param {Function} fn - Function to run
+ * @returns {*} - Return value of fn
+ */
+const runWithContext = (context, fn) => storage.run(context, fn)
+
+/**
+ * Get the context of the current request
+ * @returns {Object} - Context, or an empty object outside of a request (jobs, scripts)
+ */
+const getContext = () => storage.getStore() || {}
+
+/**
+ * Record the authenticated user on the current request context
+ * @param {Object} user - Authenticated user
+ * @param {string} [impersonatedBy] - Admin acting as the user
+ */
+const setContextUser = (user, impersonatedBy) => {
+  const context = storage.getStore()
+  if (!context) return
+
+  context.userId = user._id
+  context.impersonatedBy = impersonatedBy
+}
+
+module.exports = {
+  runWithContext,
+  getContext,
+  setContextUser,
+}